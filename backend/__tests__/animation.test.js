@@ -0,0 +1,23 @@
+const assert = require('assert');
+const { animationRange, animationOptions, animationArgs } = require('../utils/animation');
+
+test('animation range needs both ends and stays under the length limit', () => {
+    assert.deepStrictEqual(animationRange({ start: '1:00', end: 70.5 }), { start: 60, end: 70.5 });
+    assert.throws(() => animationRange({ start: 10 }), /start and an end/);
+    assert.throws(() => animationRange({ start: 0, end: 61 }), /at most 60 seconds/);
+});
+
+test('animation options default to a 480px GIF at 15 fps with even widths', () => {
+    assert.deepStrictEqual(animationOptions({}), { format: 'gif', width: 480, fps: 15 });
+    assert.strictEqual(animationOptions({ animationFormat: 'mp4', width: 321 }).width, 320);
+});
+
+test('GIFs are made with a palette and MP4 loops without audio', () => {
+    const gif = animationArgs('in.mp4', 'out.gif', { start: 5, duration: 3, format: 'gif', width: 320, fps: 10 });
+    assert.ok(gif.join(' ').includes('-ss 5 -t 3 -i in.mp4 -an'));
+    assert.ok(gif[gif.indexOf('-filter_complex') + 1].includes('palettegen'));
+
+    const mp4 = animationArgs('in.mp4', 'out.mp4', { start: 0, duration: 3, format: 'mp4', width: 320, fps: 10 });
+    assert.ok(mp4.includes('libx264') && mp4.includes('-an'));
+    assert.strictEqual(mp4[mp4.length - 1], 'out.mp4');
+});
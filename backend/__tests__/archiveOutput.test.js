@@ -0,0 +1,51 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createArchive, createVolumeWriter } = require('../utils/archiveOutput');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'archive-output-'));
+}
+
+test('volume writer splits the stream into numbered parts of the given size', async () => {
+    const dir = tempDir();
+    const writer = createVolumeWriter(path.join(dir, 'videos.zip'), 4);
+    const data = Buffer.from('0123456789');
+    writer.write(data.subarray(0, 3));
+    writer.write(data.subarray(3));
+    writer.end();
+    await once(writer, 'close');
+
+    assert.deepStrictEqual(writer.volumes.map((file) => path.basename(file)), [
+        'videos.zip.001',
+        'videos.zip.002',
+        'videos.zip.003',
+    ]);
+    assert.deepStrictEqual(writer.volumes.map((file) => fs.statSync(file).size), [4, 4, 2]);
+    assert.deepStrictEqual(Buffer.concat(writer.volumes.map((file) => fs.readFileSync(file))), data);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('zip64 archives end with the ZIP64 end of central directory record', async () => {
+    const chunks = [];
+    const archive = createArchive({ format: 'zip', zip64: true });
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.append('hello', { name: 'a.txt' });
+    await archive.finalize();
+
+    const zip = Buffer.concat(chunks);
+    assert.ok(zip.includes(Buffer.from([0x50, 0x4b, 0x06, 0x06])));
+    assert.ok(zip.includes(Buffer.from([0x50, 0x4b, 0x06, 0x07])));
+});
+
+test('tar.gz archives are gzip streams', async () => {
+    const chunks = [];
+    const archive = createArchive({ format: 'tar.gz', level: 6 });
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.append('hello', { name: 'a.txt' });
+    await archive.finalize();
+
+    assert.deepStrictEqual([...Buffer.concat(chunks).subarray(0, 2)], [0x1f, 0x8b]);
+});
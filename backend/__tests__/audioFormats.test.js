@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { audioOptions, audioFormatSelector, audioExtractArgs } = require('../utils/audioFormats');
+
+test('audio options default the bitrate of lossy formats and drop it for lossless ones', () => {
+    assert.strictEqual(audioOptions(undefined, 320), null);
+    assert.deepStrictEqual(audioOptions('mp3'), { format: 'mp3', bitrate: 192 });
+    assert.deepStrictEqual(audioOptions('opus', '96'), { format: 'opus', bitrate: 96 });
+    assert.deepStrictEqual(audioOptions('flac', 320), { format: 'flac', bitrate: null });
+});
+
+test('picked formats are only kept when they carry audio', () => {
+    const info = {
+        formats: [
+            { format_id: '137', vcodec: 'avc1', acodec: 'none' },
+            { format_id: '140', vcodec: 'none', acodec: 'mp4a.40.2' },
+        ],
+    };
+    assert.strictEqual(audioFormatSelector(info, '140'), '140');
+    assert.strictEqual(audioFormatSelector(info, '137'), 'bestaudio/best');
+    assert.strictEqual(audioFormatSelector(info, undefined), 'bestaudio/best');
+});
+
+test('extraction args ask yt-dlp for the codec and bitrate', () => {
+    assert.deepStrictEqual(audioExtractArgs({ format: 'mp3', bitrate: 128 }), [
+        '-x', '--audio-format', 'mp3', '--audio-quality', '128K',
+    ]);
+    assert.deepStrictEqual(audioExtractArgs({ format: 'flac', bitrate: null }).slice(-1), ['0']);
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+const { canonicalVideoKey } = require('../utils/canonicalUrl');
+
+test('different spellings of the same video share one key', () => {
+    const key = 'youtube:dQw4w9WgXcQ';
+    assert.strictEqual(canonicalVideoKey('https://www.youtube.com/watch?v=dQw4w9WgXcQ&si=abc'), key);
+    assert.strictEqual(canonicalVideoKey('https://youtu.be/dQw4w9WgXcQ?t=42'), key);
+    assert.strictEqual(canonicalVideoKey('https://m.youtube.com/shorts/dQw4w9WgXcQ'), key);
+    assert.strictEqual(canonicalVideoKey('//music.youtube.com/watch?v=dQw4w9WgXcQ'), key);
+});
+
+test('platform ids are extracted from their usual URL shapes', () => {
+    assert.strictEqual(canonicalVideoKey('https://twitter.com/user/status/123?s=20'), 'x:123');
+    assert.strictEqual(canonicalVideoKey('https://x.com/user/status/123'), 'x:123');
+    assert.strictEqual(canonicalVideoKey('https://www.tiktok.com/@me/video/987'), 'tiktok:987');
+    assert.strictEqual(canonicalVideoKey('https://www.instagram.com/reel/AbC/?igsh=x'), 'instagram:AbC');
+    assert.strictEqual(canonicalVideoKey('https://www.facebook.com/watch/?v=555'), 'facebook:555');
+    assert.strictEqual(canonicalVideoKey('https://fb.watch/xyz/'), 'url:fb.watch/xyz');
+    assert.strictEqual(canonicalVideoKey('not a url'), null);
+});
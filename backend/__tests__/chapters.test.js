@@ -0,0 +1,28 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chapterList, readChapterFiles } = require('../utils/chapters');
+
+test('chapter list numbers chapters and names untitled ones', () => {
+    const chapters = chapterList({
+        chapters: [
+            { start_time: 0, end_time: 60, title: 'Intro' },
+            { start_time: 60, end_time: 125.5, title: '' },
+        ],
+    });
+    assert.deepStrictEqual(chapters[1], { index: 2, title: 'Chapter 2', start: 60, end: 125.5 });
+    assert.strictEqual(chapterList({}).length, 0);
+});
+
+test('chapter files are read in chapter order', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chapters-'));
+    for (const name of ['010 - Outro.mp4', '002 - Part two.mp4', '001 - Intro.mp4', 'notes.txt']) {
+        fs.writeFileSync(path.join(dir, name), '');
+    }
+
+    const files = readChapterFiles(dir).map((file) => path.basename(file));
+    assert.strictEqual(files.join(','), '001 - Intro.mp4,002 - Part two.mp4,010 - Outro.mp4');
+    assert.strictEqual(readChapterFiles(path.join(dir, 'missing')).length, 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
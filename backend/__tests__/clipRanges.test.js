@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { parseTimestamp, clipRanges, downloadSectionArgs } = require('../utils/clipRanges');
+
+test('timestamps accept seconds and HH:MM:SS.ms', () => {
+    assert.strictEqual(parseTimestamp(90), 90);
+    assert.strictEqual(parseTimestamp('90.5'), 90.5);
+    assert.strictEqual(parseTimestamp('1:30'), 90);
+    assert.strictEqual(parseTimestamp('01:02:03.25'), 3723.25);
+    assert.throws(() => parseTimestamp('1:75'), /Invalid timestamp/);
+    assert.throws(() => parseTimestamp('abc'), /Invalid timestamp/);
+    assert.throws(() => parseTimestamp(-1), /Invalid timestamp/);
+});
+
+test('start/end and extra ranges are merged and sorted', () => {
+    assert.strictEqual(clipRanges({}), null);
+    assert.deepStrictEqual(clipRanges({ start: '2:00', ranges: [{ start: 10, end: '0:40' }] }), [
+        { start: 10, end: 40 },
+        { start: 120, end: null },
+    ]);
+    assert.throws(() => clipRanges({ start: 50, end: 40 }), /end must be after its start/);
+});
+
+test('section args cover every range and force keyframes for accurate cuts', () => {
+    const ranges = [{ start: 10, end: 40 }, { start: 120, end: null }];
+    assert.deepStrictEqual(downloadSectionArgs(ranges), [
+        '--download-sections', '*10-40', '--download-sections', '*120-inf',
+    ]);
+    assert.strictEqual(downloadSectionArgs(ranges, { accurate: true }).pop(), '--force-keyframes-at-cuts');
+});
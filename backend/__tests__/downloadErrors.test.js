@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { describeError } = require('../utils/downloadErrors');
+
+test('download errors are typed by cause', () => {
+    const code = (stderr) => describeError({ message: 'Command failed', stderr }).code;
+    assert.strictEqual(code("ERROR: [youtube] x: Sign in to confirm you're not a bot"), 'BOT_CHECK');
+    assert.strictEqual(code('ERROR: HTTP Error 429: Too Many Requests'), 'RATE_LIMITED');
+    assert.strictEqual(code('ERROR: [youtube] x: Private video'), 'LOGIN_REQUIRED');
+    assert.strictEqual(code('ERROR: [youtube] x: Video unavailable'), 'UNAVAILABLE');
+    assert.strictEqual(code('ERROR: Requested format is not available'), 'FORMAT_UNAVAILABLE');
+    assert.strictEqual(code('ERROR: something odd'), 'DOWNLOAD_FAILED');
+    assert.strictEqual(describeError({ name: 'AbortError', message: 'x' }).code, 'CANCELLED');
+});
+
+test('the detail is the first yt-dlp ERROR line', () => {
+    const error = describeError({
+        message: 'Error code: 1',
+        stderr: 'WARNING: meh\nERROR: HTTP Error 503: Service Unavailable\nmore',
+    });
+    assert.strictEqual(error.detail, 'ERROR: HTTP Error 503: Service Unavailable');
+    assert.strictEqual(error.retryable, true);
+});
+
+test('options on the command line do not decide the cause', () => {
+    const error = describeError({
+        message: 'Command failed: /usr/bin/yt-dlp --cookies /app/youtube.com_cookies.txt https://www.youtube.com/watch?v=abc',
+        stderr: 'ERROR: [youtube] abc: Incomplete YouTube ID abc. URL https://www.youtube.com/watch?v=abc looks truncated.',
+    });
+    assert.strictEqual(error.code, 'DOWNLOAD_FAILED');
+});
@@ -0,0 +1,22 @@
+const assert = require('assert');
+const { embedDefaultFromEnv, embedArgs, coverFor } = require('../utils/embedMetadata');
+
+test('embed default is off unless the setting turns it on', () => {
+    assert.strictEqual(embedDefaultFromEnv(undefined), false);
+    assert.strictEqual(embedDefaultFromEnv('TRUE'), true);
+    assert.strictEqual(embedDefaultFromEnv(' on '), true);
+    assert.strictEqual(embedDefaultFromEnv('0'), false);
+});
+
+test('embed args add the cover except for WebM', () => {
+    assert.strictEqual(
+        embedArgs('mp4').join(' '),
+        '--embed-metadata --embed-chapters --embed-thumbnail --write-thumbnail --convert-thumbnails jpg'
+    );
+    assert.strictEqual(embedArgs('webm').join(' '), '--embed-metadata --embed-chapters');
+    assert.ok(embedArgs('mp3').includes('--embed-thumbnail'));
+});
+
+test('the kept cover shares the name of the file', () => {
+    assert.strictEqual(coverFor('/tmp/x/My video.mkv'), '/tmp/x/My video.jpg');
+});
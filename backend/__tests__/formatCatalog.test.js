@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { normalizeFormat, formatCatalog } = require('../utils/formatCatalog');
+
+const info = {
+    duration: 100,
+    formats: [
+        { format_id: 'sb0', url: 'u', ext: 'mhtml', vcodec: 'none', acodec: 'none', protocol: 'mhtml' },
+        { format_id: '140', url: 'u', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', tbr: 129.5, filesize: 1600000, language: 'en', protocol: 'https' },
+        { format_id: '251', url: 'u', ext: 'webm', vcodec: 'none', acodec: 'opus', tbr: 140, protocol: 'https' },
+        { format_id: '137', url: 'u', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', height: 1080, width: 1920, fps: 30, tbr: 4000, protocol: 'https', dynamic_range: 'SDR' },
+        { format_id: '270', url: 'u', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', height: 1080, width: 1920, fps: 30, tbr: 4500, protocol: 'm3u8_native' },
+        { format_id: '337', url: 'u', ext: 'webm', vcodec: 'vp09.02.51.10', acodec: 'none', height: 2160, width: 3840, fps: 60, tbr: 20000, protocol: 'https', dynamic_range: 'HDR10' },
+        { format_id: '18', url: 'u', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', height: 360, width: 640, fps: 30, filesize_approx: 5000000, protocol: 'https' },
+        { format_id: '399', url: 'u', ext: 'mp4', vcodec: 'av01.0.08M.08', acodec: 'none', height: 1080, fps: 30, protocol: 'https' },
+    ],
+};
+
+test('formats are grouped best first, without storyboards', () => {
+    const catalog = formatCatalog(info);
+    assert.deepStrictEqual(catalog.videoAudio.map((f) => f.id), ['18']);
+    assert.deepStrictEqual(catalog.videoOnly.map((f) => f.id), ['337', '137', '399']);
+    assert.deepStrictEqual(catalog.audioOnly.map((f) => f.id), ['251', '140']);
+});
+
+test('near-identical formats keep the direct download', () => {
+    const ids = formatCatalog(info).videoOnly.map((f) => f.id);
+    assert.ok(ids.includes('137'));
+    assert.ok(!ids.includes('270'));
+});
+
+test('excluded video codecs are left out', () => {
+    const catalog = formatCatalog(info, { excludeVideoCodecs: ['av1'] });
+    assert.deepStrictEqual(catalog.videoOnly.map((f) => f.id), ['337', '137']);
+});
+
+test('entries describe codecs, HDR and exact or estimated sizes', () => {
+    const [hdr] = formatCatalog(info).videoOnly;
+    assert.strictEqual(hdr.resolution, '2160p');
+    assert.strictEqual(hdr.hdr, true);
+    assert.strictEqual(hdr.videoCodec, 'vp9');
+    assert.strictEqual(hdr.size, 250000000);
+    assert.strictEqual(hdr.sizeEstimated, true);
+
+    const audio = normalizeFormat(info.formats[1], 100);
+    assert.strictEqual(audio.audioCodec, 'aac');
+    assert.strictEqual(audio.size, 1600000);
+    assert.strictEqual(audio.sizeEstimated, false);
+    assert.strictEqual(audio.language, 'en');
+    assert.strictEqual(audio.hasVideo, false);
+    assert.strictEqual(audio.resolution, null);
+});
+
+test('formats without codec names fall back to their extensions', () => {
+    const entry = normalizeFormat({ format_id: 'dash-1', ext: 'mp4', video_ext: 'mp4', audio_ext: 'none', height: 720 });
+    assert.strictEqual(entry.hasVideo, true);
+    assert.strictEqual(entry.hasAudio, false);
+    const progressive = normalizeFormat({ format_id: 'hd', ext: 'mp4', height: 720 });
+    assert.strictEqual(progressive.hasAudio, true);
+});
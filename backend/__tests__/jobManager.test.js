@@ -0,0 +1,235 @@
+const assert = require('assert');
+const { createJobManager } = require('../utils/jobManager');
+
+test('job moves through runner states and becomes ready', async () => {
+    const seen = [];
+    const jobs = createJobManager({
+        runners: {
+            single: async (job, ctx) => {
+                ctx.setState('fetching-info');
+                ctx.setState('downloading');
+                ctx.setProgress(50);
+                return { filePath: '/tmp/x.mp4', filename: 'x.mp4' };
+            },
+        },
+        io: { to: () => ({ emit: (event, payload) => seen.push(payload.state || event) }) },
+    });
+
+    const job = jobs.create('single', { url: 'https://youtu.be/x' });
+    assert.strictEqual(job.state, 'queued');
+    await jobs.wait(job.id);
+
+    assert.strictEqual(job.state, 'ready');
+    assert.strictEqual(jobs.toPublic(job).filename, 'x.mp4');
+    assert.deepStrictEqual(seen, ['fetching-info', 'downloading', 'ready', 'done']);
+});
+
+test('runner errors mark the job as failed', async () => {
+    const jobs = createJobManager({
+        runners: { single: async () => { throw new Error('boom'); } },
+    });
+
+    const job = jobs.create('single', {});
+    await jobs.wait(job.id);
+
+    assert.strictEqual(job.state, 'failed');
+    assert.strictEqual(jobs.toPublic(job).error, 'boom');
+});
+
+test('public job errors are the described ones, not the raw error', async () => {
+    const jobs = createJobManager({
+        runners: { single: async () => { throw new Error('Command failed: /bin/yt-dlp --cookies /app/cookies.txt'); } },
+        describeError: () => ({ code: 'DOWNLOAD_FAILED', message: 'The download failed.', detail: 'ERROR: nope' }),
+    });
+    const original = console.error;
+    console.error = () => {};
+    const job = jobs.create('single', {});
+    await jobs.wait(job.id);
+    console.error = original;
+
+    const { error, errorDetail, errorCode } = jobs.toPublic(job);
+    assert.deepStrictEqual([error, errorDetail, errorCode], ['The download failed.', 'ERROR: nope', 'DOWNLOAD_FAILED']);
+});
+
+test('cancel aborts the job signal and discards the result', async () => {
+    let cleaned = false;
+    const jobs = createJobManager({
+        runners: {
+            single: (job, ctx) => new Promise((resolve) => {
+                ctx.signal.addEventListener('abort', () => {
+                    resolve({ filename: 'x.mp4', cleanup: () => { cleaned = true; } });
+                });
+            }),
+        },
+    });
+
+    const job = jobs.create('single', {});
+    await new Promise((resolve) => setImmediate(resolve));
+    jobs.cancel(job.id);
+    await jobs.wait(job.id);
+
+    assert.strictEqual(job.state, 'cancelled');
+    assert.strictEqual(job.result, null);
+    assert.ok(cleaned);
+});
+
+test('shutdown aborts unfinished jobs and stores them for the next start', async () => {
+    const { createMemoryJobStore } = require('../utils/jobStore');
+    const store = createMemoryJobStore();
+    let flushed = false;
+    store.flush = async () => { flushed = true; };
+    const jobs = createJobManager({
+        store,
+        runners: {
+            single: (job, ctx) => new Promise((resolve, reject) => {
+                ctx.setState('downloading');
+                ctx.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }),
+        },
+    });
+
+    const job = jobs.create('single', {});
+    await new Promise((resolve) => setImmediate(resolve));
+    await jobs.shutdown();
+
+    assert.ok(job.controller.signal.aborted);
+    assert.ok(flushed);
+    const [record] = await store.load();
+    assert.strictEqual(record.state, 'downloading');
+    assert.strictEqual(record.finishedAt, null);
+});
+
+test('restore re-queues interrupted jobs and keeps finished outputs', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { createMemoryJobStore } = require('../utils/jobStore');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    const output = path.join(dir, 'done.mp4');
+    fs.writeFileSync(output, 'video');
+
+    const store = createMemoryJobStore();
+    const now = Date.now();
+    store.save({ id: 'a', type: 'single', params: { url: 'u1' }, state: 'downloading', createdAt: now });
+    store.save({
+        id: 'b', type: 'single', params: { url: 'u2' }, state: 'ready', createdAt: now,
+        finishedAt: now, output: { filePath: output, filename: 'done.mp4' },
+    });
+
+    const ran = [];
+    const jobs = createJobManager({
+        store,
+        runners: {
+            single: async (job) => {
+                ran.push(job.params.url);
+                return { filePath: output, filename: 'done.mp4' };
+            },
+        },
+    });
+
+    assert.strictEqual(await jobs.restore(), 1);
+    assert.strictEqual(jobs.get('b').state, 'ready');
+    assert.strictEqual(jobs.get('b').result.filePath, output);
+
+    await jobs.wait('a');
+    assert.strictEqual(jobs.get('a').state, 'ready');
+    assert.deepStrictEqual(ran, ['u1']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('identical jobs share one run and are only cancelled by the last subscriber', async () => {
+    let runs = 0;
+    const rooms = [];
+    const jobs = createJobManager({
+        io: { to: (target) => ({ emit: () => rooms.push(target) }) },
+        runners: {
+            single: (job, ctx) => new Promise((resolve) => {
+                runs++;
+                ctx.signal.addEventListener('abort', () => resolve(null));
+            }),
+        },
+    });
+
+    const first = jobs.create('single', {}, { room: 'r1', dedupeKey: 'k' });
+    const second = jobs.create('single', {}, { room: 'r2', dedupeKey: 'k' });
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual([...first.rooms], ['r1', 'r2']);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    jobs.cancelRoom('r1');
+    assert.notStrictEqual(first.state, 'cancelled');
+
+    jobs.release(first.id, 'r2');
+    await jobs.wait(first.id);
+    assert.strictEqual(first.state, 'cancelled');
+    assert.strictEqual(runs, 1);
+});
+
+test('a shared ready output is only discarded by its last room', async () => {
+    let cleaned = false;
+    const jobs = createJobManager({
+        runners: {
+            single: async () => ({ filePath: '/tmp/x.mp4', filename: 'x.mp4', cleanup: () => { cleaned = true; } }),
+        },
+    });
+
+    const job = jobs.create('single', {}, { room: 'r1', dedupeKey: 'k' });
+    jobs.create('single', {}, { room: 'r2', dedupeKey: 'k' });
+    await jobs.wait(job.id);
+
+    assert.strictEqual(jobs.release(job.id, 'someone-else'), null);
+    jobs.release(job.id, 'r1');
+    assert.strictEqual(jobs.get(job.id), job);
+    assert.ok(!cleaned);
+
+    jobs.release(job.id, 'r2');
+    assert.strictEqual(jobs.get(job.id), null);
+    assert.ok(cleaned);
+});
+
+test('live jobs hand the runner a stream that is destroyed if the job fails', async () => {
+    const jobs = createJobManager({
+        runners: {
+            multi: async (job, ctx) => {
+                ctx.liveOutput.write('PK');
+                throw new Error('item failed');
+            },
+        },
+    });
+
+    const job = jobs.create('multi', {}, { live: true });
+    const chunks = [];
+    job.liveOutput.on('data', (chunk) => chunks.push(String(chunk)));
+    await jobs.wait(job.id);
+
+    assert.strictEqual(job.state, 'failed');
+    assert.deepStrictEqual(chunks, ['PK']);
+    assert.strictEqual(job.liveOutput.destroyed, true);
+    assert.strictEqual(jobs.create('multi', {}).liveOutput, null);
+});
+
+test('kept outputs move every volume of a split archive', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    const work = fs.mkdtempSync(path.join(dir, 'work-'));
+    const volumes = ['videos.zip.001', 'videos.zip.002'];
+    volumes.forEach((name) => fs.writeFileSync(path.join(work, name), name));
+
+    const jobs = createJobManager({
+        outputDir: path.join(dir, 'out'),
+        runners: {
+            multi: async () => ({ filePath: path.join(work, volumes[0]), filename: volumes[0], volumes }),
+        },
+    });
+    const job = jobs.create('multi', {});
+    await jobs.wait(job.id);
+
+    const kept = path.dirname(job.result.filePath);
+    assert.strictEqual(kept, path.join(dir, 'out', job.id));
+    assert.strictEqual(fs.readdirSync(kept).sort().join(','), volumes.join(','));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
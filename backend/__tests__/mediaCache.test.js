@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMediaCache } = require('../utils/mediaCache');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'media-cache-'));
+}
+
+function writeFile(dir, name, bytes) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, Buffer.alloc(bytes));
+    return file;
+}
+
+test('stored files are checked out again under their key', () => {
+    const root = tempDir();
+    const cache = createMediaCache({ dir: path.join(root, 'cache') });
+    const key = { video: 'youtube:abc', format: '22', pipeline: 'single' };
+
+    cache.put(key, writeFile(root, 'a.mp4', 10), 'a.mp4');
+    const dest = fs.mkdtempSync(path.join(root, 'out-'));
+    const hit = cache.checkout({ pipeline: 'single', format: '22', video: 'youtube:abc' }, dest);
+
+    assert.strictEqual(hit.filename, 'a.mp4');
+    assert.strictEqual(fs.statSync(hit.filePath).size, 10);
+    assert.strictEqual(cache.checkout({ ...key, format: '18' }, dest), null);
+    assert.strictEqual(cache.list()[0].hits, 1);
+    cache.flush();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('expired entries are misses', () => {
+    const root = tempDir();
+    const cache = createMediaCache({ dir: path.join(root, 'cache') });
+
+    cache.put('old', writeFile(root, 'a.mp4', 10), 'a.mp4', { ttl: -1 });
+    assert.strictEqual(cache.has('old'), false);
+    assert.strictEqual(cache.stats().entries, 0);
+    cache.flush();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('least recently used entries are evicted past the size limit', () => {
+    const root = tempDir();
+    const cache = createMediaCache({ dir: path.join(root, 'cache'), maxBytes: 25 });
+    const dest = fs.mkdtempSync(path.join(root, 'out-'));
+    let now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+    cache.put('a', writeFile(root, 'a.mp4', 10), 'a.mp4');
+    cache.put('b', writeFile(root, 'b.mp4', 10), 'b.mp4');
+    // Touch "a" so "b" becomes the least recently used
+    cache.checkout('a', dest);
+    cache.put('c', writeFile(root, 'c.mp4', 10), 'c.mp4');
+    clock.mockRestore();
+
+    assert.strictEqual(cache.has('a'), true);
+    assert.strictEqual(cache.has('b'), false);
+    assert.strictEqual(cache.has('c'), true);
+    assert.strictEqual(cache.stats().totalBytes, 20);
+    cache.flush();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('fetch returns hits and misses in the same shape, meta included', async () => {
+    const root = tempDir();
+    const cache = createMediaCache({ dir: path.join(root, 'cache') });
+    const key = { video: 'youtube:abc', format: '22', pipeline: 'single' };
+    const workDir = () => {
+        const name = fs.mkdtempSync(path.join(root, 'work-'));
+        return { name, removeCallback: () => fs.rmSync(name, { recursive: true, force: true }) };
+    };
+    const meta = { conversions: [{ filename: 'a.mp4', strategy: 'remux' }] };
+    let produced = 0;
+    const produce = async () => {
+        produced++;
+        return { filePath: writeFile(root, 'a.mp4', 10), filename: 'a.mp4', cleanup: () => {}, meta };
+    };
+
+    const miss = await cache.fetch(key, produce, workDir);
+    const hit = await cache.fetch(key, produce, workDir);
+
+    assert.strictEqual(produced, 1);
+    assert.deepStrictEqual(Object.keys(hit).sort(), Object.keys(miss).sort());
+    assert.deepStrictEqual(hit.meta, miss.meta);
+    assert.deepStrictEqual([miss.cached, hit.cached], [false, true]);
+    hit.cleanup();
+    cache.flush();
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { createMetadataCache } = require('../utils/metadataCache');
+
+test('concurrent lookups share one extraction and later ones hit the cache', async () => {
+    const cache = createMetadataCache();
+    let loads = 0;
+    const load = async () => {
+        loads++;
+        return { id: 'abc' };
+    };
+
+    const [a, b] = await Promise.all([cache.fetch('youtube:abc', load), cache.fetch('youtube:abc', load)]);
+    const c = await cache.fetch('youtube:abc', load);
+
+    assert.strictEqual(loads, 1);
+    assert.strictEqual(a, b);
+    assert.strictEqual(a, c);
+});
+
+test('failed and expired lookups are not served from the cache', async () => {
+    const cache = createMetadataCache({ ttlMs: -1 });
+
+    await assert.rejects(cache.fetch('k', async () => { throw new Error('boom'); }), /boom/);
+    await cache.fetch('k', async () => ({ id: 1 }));
+    assert.strictEqual(cache.get('k'), null);
+});
+
+test('the oldest entries are dropped past maxEntries', () => {
+    const cache = createMetadataCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    assert.strictEqual(cache.get('a'), null);
+    assert.strictEqual(cache.get('c'), 3);
+});
@@ -0,0 +1,21 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readPrintedFilepath, printFilepathArgs } = require('../utils/outputFiles');
+
+test('the last printed path wins and relative paths resolve against the cwd', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-files-'));
+    const file = path.join(dir, 'out.filepath');
+
+    assert.strictEqual(readPrintedFilepath(file, dir), null);
+    fs.writeFileSync(file, 'first.webm\nClip.mkv\n');
+    assert.strictEqual(readPrintedFilepath(file, dir), path.join(dir, 'Clip.mkv'));
+    fs.writeFileSync(file, '/srv/media/Clip.opus\n');
+    assert.strictEqual(readPrintedFilepath(file, dir), '/srv/media/Clip.opus');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the path is printed after the file has been moved into place', () => {
+    assert.deepStrictEqual(printFilepathArgs('x.filepath'), ['--print-to-file', 'after_move:filepath', 'x.filepath']);
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { parseItemRanges, selectPlaylistItems } = require('../utils/playlistSelection');
+
+const entries = Array.from({ length: 10 }, (_, i) => ({ id: `v${i + 1}` }));
+const ids = (selected) => selected.map((entry) => entry.id);
+
+test('item selectors accept single items, ranges and open ranges', () => {
+    const inRange = parseItemRanges('1-3, 5,8-');
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 7, 8, 100].map(inRange), [true, true, true, false, true, false, true, true]);
+    assert.throws(() => parseItemRanges('3-1'), /Invalid playlist item range/);
+    assert.throws(() => parseItemRanges('a-b'), /Invalid playlist item selector/);
+});
+
+test('ranges, newest-N and reverse combine in that order', () => {
+    assert.deepStrictEqual(ids(selectPlaylistItems(entries, { items: '2-4,9' })), ['v2', 'v3', 'v4', 'v9']);
+    assert.deepStrictEqual(ids(selectPlaylistItems(entries, { newest: 2 })), ['v9', 'v10']);
+    assert.deepStrictEqual(ids(selectPlaylistItems(entries, { items: '1-5', newest: 2, reverse: true })), ['v5', 'v4']);
+    assert.strictEqual(selectPlaylistItems(entries, { items: '9-' })[0].position, 9);
+});
+
+test('newest-N uses upload dates when the listing has them', () => {
+    const dated = [
+        { id: 'a', upload_date: '20240301' },
+        { id: 'b', upload_date: '20230101' },
+        { id: 'c', upload_date: '20240501' },
+    ];
+    assert.deepStrictEqual(ids(selectPlaylistItems(dated, { newest: 2 })), ['a', 'c']);
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { createProcessPool } = require('../utils/processPool');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    return { promise, resolve };
+}
+
+test('waiting tasks are served round-robin across clients', async () => {
+    const pool = createProcessPool({ maxProcesses: 1 });
+    const gate = deferred();
+    const started = [];
+
+    const first = pool.run('download', 'a', () => gate.promise);
+    const tasks = [['a', 'a1'], ['a', 'a2'], ['b', 'b1'], ['b', 'b2']].map(
+        ([client, name]) => pool.run('download', client, () => { started.push(name); })
+    );
+
+    gate.resolve();
+    await Promise.all([first, ...tasks]);
+    assert.deepStrictEqual(started, ['b1', 'a1', 'b2', 'a2']);
+});
+
+test('metadata and download slots are limited separately', async () => {
+    const pool = createProcessPool({ maxProcesses: 3, slots: { metadata: 2, download: 1 } });
+    const gate = deferred();
+    const hold = () => gate.promise;
+
+    const all = [
+        pool.run('download', 'a', hold),
+        pool.run('download', 'a', hold),
+        pool.run('metadata', 'a', hold),
+        pool.run('metadata', 'a', hold),
+        pool.run('metadata', 'a', hold),
+    ];
+
+    await new Promise((r) => setImmediate(r));
+    const stats = pool.stats();
+    assert.strictEqual(stats.kinds.download.running, 1);
+    assert.strictEqual(stats.kinds.metadata.running, 2);
+    assert.strictEqual(stats.running, 3);
+
+    gate.resolve();
+    await Promise.all(all);
+});
+
+test('queue positions are reported and aborted tasks leave the queue', async () => {
+    const pool = createProcessPool({ maxProcesses: 1 });
+    const gate = deferred();
+    const positions = [];
+    const controller = new AbortController();
+
+    const first = pool.run('download', 'a', () => gate.promise);
+    const aborted = pool.run('download', 'b', () => {}, { signal: controller.signal });
+    const last = pool.run('download', 'c', () => {}, {
+        onPosition: (position) => positions.push(position),
+    });
+
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    gate.resolve();
+    await Promise.all([first, last]);
+
+    assert.deepStrictEqual(positions, [2, 1, 0]);
+});
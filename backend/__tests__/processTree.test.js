@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnOptions, killProcessTree, reapProcessGroups } = require('../utils/processTree');
+
+const isWindows = os.platform() === 'win32';
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether `pid` still runs; a killed process may stay a zombie until reaped
+function running(pid) {
+    try {
+        return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1][0] !== 'Z';
+    } catch (err) {
+        return false;
+    }
+}
+
+(os.platform() === 'linux' ? test : test.skip)('the group is killed even when its leader dies from SIGTERM', async () => {
+    // The background child ignores SIGTERM, like a slow ffmpeg under yt-dlp
+    const child = spawn('sh', ['-c', '(trap "" TERM; exec sleep 30) & echo $!; exec sleep 30'], spawnOptions({ stdio: ['ignore', 'pipe', 'ignore'] }));
+    const member = await new Promise((resolve) => child.stdout.once('data', (data) => resolve(Number(data))));
+    await sleep(100);
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    killProcessTree(child, 200);
+    await exited;
+    assert.strictEqual(child.signalCode, 'SIGTERM');
+    assert.ok(running(member));
+    await sleep(500);
+    assert.ok(!running(member));
+});
+
+(isWindows ? test.skip : test)('groups left by a previous run are killed on start', async () => {
+    const child = spawn('sleep', ['30'], spawnOptions({ stdio: 'ignore' }));
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'groups-')), 'groups.json');
+    fs.writeFileSync(file, JSON.stringify([child.pid]));
+    const exited = new Promise((resolve) => child.once('exit', (code, signal) => resolve(signal)));
+    reapProcessGroups(file);
+    assert.strictEqual(await exited, 'SIGKILL');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), []);
+});
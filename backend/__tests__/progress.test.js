@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { parseYtDlpProgress, createFfmpegProgressParser } = require('../utils/progress');
+
+test('yt-dlp progress lines are parsed into numbers', () => {
+    assert.deepStrictEqual(parseYtDlpProgress(' 2500 10000 NA 1234.5 6 NA NA'), {
+        percent: 25,
+        downloadedBytes: 2500,
+        totalBytes: 10000,
+        speed: 1235,
+        eta: 6,
+        fragmentIndex: null,
+        fragmentCount: null,
+    });
+    // Fragmented downloads only know an estimate of the total
+    const hls = parseYtDlpProgress('500 NA 2000.4 NA NA 3 12');
+    assert.strictEqual(hls.totalBytes, 2000);
+    assert.strictEqual(hls.percent, 25);
+    assert.strictEqual(hls.fragmentIndex, 3);
+    assert.strictEqual(hls.fragmentCount, 12);
+});
+
+test('ffmpeg progress blocks report percent of the duration', () => {
+    const feed = createFfmpegProgressParser(100);
+    assert.strictEqual(feed('frame=10\nout_time_us=25000000\nspeed=2.5x\n'), null);
+    assert.deepStrictEqual(feed('progress=continue\nout_time_us=50'), {
+        percent: 25,
+        outTimeSec: 25,
+        speed: 2.5,
+        eta: 30,
+    });
+    assert.strictEqual(feed('000000\nprogress=end\n').percent, 100);
+});
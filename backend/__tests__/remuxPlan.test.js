@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { remuxPlan, remuxArgs } = require('../utils/remuxPlan');
+
+const streams = (video, audio) => [
+    { index: 0, codec_type: 'video', codec_name: video, disposition: { attached_pic: 0 } },
+    { index: 1, codec_type: 'audio', codec_name: audio, disposition: { attached_pic: 0 } },
+];
+
+test('streams that fit the container are only remuxed', () => {
+    const plan = remuxPlan(streams('h264', 'aac'), 'mp4');
+    assert.deepStrictEqual(plan, {
+        strategy: 'remux',
+        videoCodec: 'h264',
+        audioCodec: 'aac',
+        video: 'copy',
+        audio: 'copy',
+    });
+    assert.deepStrictEqual(remuxArgs(plan, 'mp4'), ['-c:v:0', 'copy', '-c:a', 'copy']);
+    assert.strictEqual(remuxPlan(streams('vp9', 'opus'), 'mkv').strategy, 'remux');
+});
+
+test('only the stream that does not fit is re-encoded', () => {
+    const plan = remuxPlan(streams('h264', 'opus'), 'mp4');
+    assert.strictEqual(plan.strategy, 'recode-audio');
+    const args = remuxArgs(plan, 'mp4');
+    assert.deepStrictEqual(args.slice(0, 2), ['-c:v:0', 'copy']);
+    assert.strictEqual(args[args.indexOf('-c:a') + 1], 'aac');
+
+    const webm = remuxPlan(streams('h264', 'opus'), 'webm');
+    assert.strictEqual(webm.strategy, 'recode-video');
+    assert.strictEqual(remuxArgs(webm, 'webm')[1], 'libvpx-vp9');
+    assert.strictEqual(remuxPlan(streams('h264', 'aac'), 'webm').strategy, 'recode');
+});
+
+test('MP4 only keeps codecs that play nearly everywhere', () => {
+    assert.strictEqual(remuxPlan(streams('av1', 'aac'), 'mp4').strategy, 'recode-video');
+    assert.strictEqual(remuxPlan(streams('vp9', 'opus'), 'mp4').strategy, 'recode');
+    assert.strictEqual(remuxPlan(streams('hevc', 'mp3'), 'mp4').strategy, 'remux');
+});
+
+test('an embedded cover is not taken for the video', () => {
+    const plan = remuxPlan(
+        [
+            { index: 0, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } },
+            { index: 1, codec_type: 'audio', codec_name: 'aac', disposition: { attached_pic: 0 } },
+        ],
+        'mp4'
+    );
+    assert.strictEqual(plan.video, null);
+    assert.strictEqual(plan.strategy, 'remux');
+});
+
+test('copied HEVC gets the tag Apple players need in MP4', () => {
+    const args = remuxArgs(remuxPlan(streams('hevc', 'aac'), 'mp4'), 'mp4');
+    assert.strictEqual(args[args.indexOf('-tag:v:0') + 1], 'hvc1');
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { classifyError, createRetryPolicy } = require('../utils/retryPolicy');
+
+test('yt-dlp errors are classified by cause', () => {
+    assert.strictEqual(classifyError({ stderr: 'ERROR: HTTP Error 429: Too Many Requests' }), 'transient');
+    assert.strictEqual(classifyError({ message: 'HTTP Error 503: Service Unavailable' }), 'transient');
+    assert.strictEqual(classifyError({ stderr: 'Unable to download fragment 12' }), 'transient');
+    assert.strictEqual(classifyError({ stderr: 'Requested format is not available' }), 'format');
+    assert.strictEqual(classifyError({ stderr: 'Private video' }), 'fatal');
+    assert.strictEqual(classifyError({ name: 'AbortError' }), 'cancelled');
+});
+
+test('the command line in an error message is not classified', () => {
+    const command = '/bin/yt-dlp -f bestvideo -o /tmp/%(title)s.fragment.%(ext)s https://example.com/timed-out';
+    const message = `\nError code: Error: Command failed: ${command}\nERROR: Unsupported URL\n\nStderr:\nERROR: Unsupported URL`;
+    assert.strictEqual(classifyError(new Error(message)), 'fatal');
+    assert.strictEqual(classifyError(new Error(message.replace(/Unsupported URL/g, 'HTTP Error 503'))), 'transient');
+});
+
+test('transient failures back off and retry the same format', async () => {
+    const policy = createRetryPolicy({ baseDelayMs: 1, random: () => 1 });
+    const reported = [];
+    const formats = [];
+
+    const result = await policy.run(async ({ attempt, format }) => {
+        formats.push(format);
+        if (attempt < 3) throw new Error('HTTP Error 502: Bad Gateway');
+        return 'ok';
+    }, { format: '22', onAttempt: (a) => reported.push([a.attempt, a.reason, a.delayMs]) });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(formats, ['22', '22', '22']);
+    assert.deepStrictEqual(reported, [[2, 'transient', 1], [3, 'transient', 2]]);
+});
+
+test('format failures step down the ladder and give up at the end', async () => {
+    const policy = createRetryPolicy({ ladder: ['a', 'b'] });
+    const formats = [];
+
+    await assert.rejects(
+        policy.run(async ({ format }) => {
+            formats.push(format);
+            throw new Error('Requested format is not available');
+        }, { format: '137' }),
+        /Requested format/
+    );
+    assert.deepStrictEqual(formats, ['137', 'a', 'b']);
+});
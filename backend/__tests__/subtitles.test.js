@@ -0,0 +1,60 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    subtitleTracks,
+    subtitleOptions,
+    subtitleArgs,
+    readPrintedSubtitles,
+} = require('../utils/subtitles');
+
+test('subtitle tracks list uploaded and automatic languages without live chat', () => {
+    const tracks = subtitleTracks({
+        subtitles: {
+            es: [{ ext: 'vtt', name: 'Spanish' }, { ext: 'srt' }],
+            en: [{ ext: 'vtt' }],
+            live_chat: [{ ext: 'json' }],
+        },
+        automatic_captions: { fr: [{ ext: 'vtt', name: 'French (auto)' }] },
+    });
+
+    assert.strictEqual(tracks.manual.map((t) => t.lang).join(','), 'en,es');
+    assert.strictEqual(tracks.manual[1].name, 'Spanish');
+    assert.strictEqual(tracks.manual[1].formats.join(','), 'vtt,srt');
+    assert.strictEqual(tracks.auto[0].name, 'French (auto)');
+    assert.strictEqual(subtitleTracks({}).manual.length, 0);
+});
+
+test('subtitle options are null without languages and default to srt sidecars', () => {
+    assert.strictEqual(subtitleOptions({}), null);
+    assert.strictEqual(subtitleOptions({ subtitleLangs: ' , ' }), null);
+    assert.deepStrictEqual(subtitleOptions({ subtitleLangs: 'en, es' }), {
+        languages: ['en', 'es'],
+        format: 'srt',
+        mode: 'sidecar',
+        auto: false,
+    });
+});
+
+test('subtitle args convert sidecars and embed without converting', () => {
+    const sidecar = subtitleArgs({ languages: ['en'], format: 'vtt', mode: 'sidecar', auto: true });
+    assert.strictEqual(
+        sidecar.join(' '),
+        '--write-subs --write-auto-subs --sub-langs en --sub-format vtt/best --convert-subs vtt'
+    );
+    const embed = subtitleArgs({ languages: ['en', 'es'], format: 'srt', mode: 'embed', auto: false });
+    assert.strictEqual(embed.join(' '), '--write-subs --sub-langs en,es --embed-subs');
+});
+
+test('printed subtitle paths resolve against the work dir and skip missing files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-'));
+    fs.writeFileSync(path.join(dir, 'Clip.en.srt'), '1');
+    const printed = path.join(dir, 'subs');
+    fs.writeFileSync(printed, '["Clip.en.srt", "Clip.es.srt", null]\n');
+
+    const found = readPrintedSubtitles(printed, dir);
+    assert.strictEqual(found.join(','), path.join(dir, 'Clip.en.srt'));
+    assert.strictEqual(readPrintedSubtitles(path.join(dir, 'missing'), dir).length, 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
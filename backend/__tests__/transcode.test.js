@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { transcodeOptions, targetVideoBitrate, videoEncodeArgs } = require('../utils/transcode');
+
+test('presets and custom settings normalize to the same shape', () => {
+    assert.deepStrictEqual(transcodeOptions('chat-720p'), {
+        preset: 'chat-720p',
+        codec: 'h264',
+        maxHeight: 720,
+        crf: null,
+        videoBitrate: null,
+        audioBitrate: 96,
+        maxSize: 25 * 1024 * 1024,
+    });
+    assert.strictEqual(transcodeOptions({ codec: 'vp9' }, 'webm').crf, 32);
+    assert.strictEqual(transcodeOptions(undefined), null);
+});
+
+test('invalid transcode settings are rejected', () => {
+    assert.throws(() => transcodeOptions('huge'), /preset must be one of/);
+    assert.throws(() => transcodeOptions({ codec: 'hevc' }, 'webm'), /can't be put in webm/);
+    assert.throws(() => transcodeOptions({ crf: 20, videoBitrate: 2000 }), /either a CRF or a video bitrate/);
+    assert.throws(() => transcodeOptions({ crf: 60 }), /CRF must be a whole number from 0 to 51/);
+});
+
+test('a size limit sets the video bitrate from the duration', () => {
+    const settings = transcodeOptions({ maxSizeMb: 25, audioBitrate: 128 });
+    // 25 MB over 100 s is about 2013 kbit/s with headroom, minus the audio
+    assert.strictEqual(targetVideoBitrate(settings, 100), 1885);
+    assert.throws(() => targetVideoBitrate(settings, 3600), /too long to fit/);
+    assert.throws(() => targetVideoBitrate(settings, null), /length of the video/);
+});
+
+test('two-pass HEVC passes its stats file through x265-params', () => {
+    const settings = transcodeOptions({ codec: 'hevc', maxSizeMb: 50, maxHeight: 720 });
+    const args = videoEncodeArgs(settings, { durationSec: 60, pass: 1, passLogFile: '/tmp/x' });
+    assert.strictEqual(args[args.indexOf('-x265-params') + 1], 'pass=1:stats=/tmp/x');
+    assert.strictEqual(args[args.indexOf('-filter:v:0') + 1], "scale=-2:'min(720,ih)'");
+    assert.ok(!args.includes('-crf'));
+});
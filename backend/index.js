@@ -9,10 +9,102 @@ const YtDlpWrap = require("yt-dlp-wrap").default;
 const contentDisposition = require("content-disposition");
 const http = require("http");
 const { Server } = require("socket.io");
-const archiver = require("archiver");
 const rateLimit = require("express-rate-limit");
 const { body, validationResult } = require("express-validator");
 const os = require("os");
+const crypto = require("crypto");
+const { createJobManager } = require("./utils/jobManager");
+const { createJsonFileJobStore } = require("./utils/jobStore");
+const { createProcessPool } = require("./utils/processPool");
+const {
+  classifyError,
+  createRetryPolicy,
+  ladderFromEnv,
+} = require("./utils/retryPolicy");
+const { canonicalVideoKey } = require("./utils/canonicalUrl");
+const { createMediaCache } = require("./utils/mediaCache");
+const { createMetadataCache } = require("./utils/metadataCache");
+const {
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  audioOptions,
+  audioFormatSelector,
+  audioExtractArgs,
+} = require("./utils/audioFormats");
+const {
+  VIDEO_CONTAINERS,
+  contentTypeFor,
+  readPrintedFilepaths,
+  readPrintedFilepath,
+  printFilepathArgs,
+} = require("./utils/outputFiles");
+const {
+  SUBTITLE_FORMATS,
+  SUBTITLE_MODES,
+  subtitleTracks,
+  subtitleOptions,
+  subtitleArgs,
+  printSubtitlesArgs,
+  readPrintedSubtitles,
+} = require("./utils/subtitles");
+const {
+  NO_COVER_EXTS,
+  embedDefaultFromEnv,
+  embedArgs,
+  coverFor,
+} = require("./utils/embedMetadata");
+const {
+  CHAPTERS_DIR,
+  chapterList,
+  splitChapterArgs,
+  readChapterFiles,
+} = require("./utils/chapters");
+const {
+  ANIMATION_FORMATS,
+  MAX_ANIMATION_WIDTH,
+  MAX_ANIMATION_FPS,
+  animationRange,
+  animationOptions,
+  animationArgs,
+} = require("./utils/animation");
+const {
+  transcodeOptions,
+  transcodePasses,
+  videoEncodeArgs,
+  audioEncodeArgs,
+} = require("./utils/transcode");
+const {
+  MAX_CLIP_RANGES,
+  clipRanges,
+  downloadSectionArgs,
+} = require("./utils/clipRanges");
+const {
+  ARCHIVE_FORMATS,
+  createArchive,
+  mediaEntryOptions,
+  zipFiles,
+  createVolumeWriter,
+  volumeName,
+} = require("./utils/archiveOutput");
+const {
+  QUALITY_POLICIES,
+  selectPlaylistItems,
+} = require("./utils/playlistSelection");
+const { describeError } = require("./utils/downloadErrors");
+const { runFfmpeg, probeStreams } = require("./utils/ffmpeg");
+const { remuxPlan, remuxArgs } = require("./utils/remuxPlan");
+const { formatCatalog } = require("./utils/formatCatalog");
+const {
+  YTDLP_PROGRESS_TEMPLATE,
+  parseYtDlpProgress,
+} = require("./utils/progress");
+const {
+  spawnOptions,
+  bindAbortSignal,
+  reapProcessGroups,
+  killAllProcessGroups,
+  createAbortError,
+} = require("./utils/processTree");
 let fetch;
 try {
   fetch = require("node-fetch").default;
@@ -27,6 +119,205 @@ const ytDlpPath = isWindows
   : path.resolve(__dirname, "bin", "yt-dlp");
 const ytDlpWrap = new YtDlpWrap(ytDlpPath);
 
+// Working files live under DATA_DIR so finished outputs can be kept by
+// renaming them rather than copying, and survive a restart.
+const DATA_DIR = path.resolve(
+  process.env.DATA_DIR || path.join(__dirname, "data")
+);
+const WORK_DIR = path.join(DATA_DIR, "tmp");
+const OUTPUT_DIR = path.join(DATA_DIR, "outputs");
+// yt-dlp and ffmpeg run in their own process groups, so a crashed run's
+// ones may still be writing into WORK_DIR
+fs.mkdirSync(DATA_DIR, { recursive: true });
+reapProcessGroups(path.join(DATA_DIR, "process-groups.json"));
+// Temp dirs left by a previous run belong to jobs that will be restarted
+fs.rmSync(WORK_DIR, { recursive: true, force: true });
+fs.mkdirSync(WORK_DIR, { recursive: true });
+
+function createWorkDir() {
+  return tmp.dirSync({ unsafeCleanup: true, tmpdir: WORK_DIR });
+}
+
+// Finished media, so repeat requests for the same video and format are served
+// from disk without running yt-dlp again
+const mediaCache = createMediaCache({
+  dir: path.join(DATA_DIR, "cache"),
+  maxBytes: Number(process.env.MEDIA_CACHE_MAX_BYTES) || undefined,
+  ttlMs: Number(process.env.MEDIA_CACHE_TTL_MS) || undefined,
+});
+
+// Cache key: platform + video id, the requested format and the pipeline the
+// file went through (anything that changes the bytes of the output)
+function mediaCacheKey(url, quality, options) {
+  return {
+    video: canonicalVideoKey(url) || url,
+    format: quality || null,
+    ...options,
+  };
+}
+
+// Key fields for the output options of a download that differ from the
+// defaults; empty for a plain MP4 video, so older keys stay valid
+function outputKeyFields({
+  audio,
+  container,
+  clip,
+  subtitles,
+  embed,
+  splitChapters,
+  transcode,
+}) {
+  const fields = {};
+  if (audio) fields.audio = audio;
+  else if (container && container !== "mp4") fields.container = container;
+  if (clip) fields.clip = clip;
+  if (subtitles) fields.subtitles = subtitles;
+  if (embed) fields.embed = true;
+  if (splitChapters) fields.splitChapters = true;
+  if (transcode) fields.transcode = transcode;
+  return fields;
+}
+
+// Hand out a cached copy of `key`, or produce the file and cache it
+function cachedDownload(key, produce) {
+  return mediaCache.fetch(key, produce, createWorkDir);
+}
+
+// Upper bound on concurrent yt-dlp processes, with separate slots for info
+// lookups and full downloads. Waiting work is shared fairly between client IPs.
+const ytDlpPool = createProcessPool({
+  maxProcesses: Number(process.env.YTDLP_MAX_PROCESSES) || 4,
+  slots: {
+    metadata: Number(process.env.YTDLP_METADATA_SLOTS) || 3,
+    download: Number(process.env.YTDLP_DOWNLOAD_SLOTS) || 2,
+  },
+});
+
+// Retries for yt-dlp runs: transient errors back off and retry, "format not
+// available" steps down the fallback ladder.
+const retryPolicy = createRetryPolicy({
+  maxRetries: process.env.DOWNLOAD_MAX_RETRIES
+    ? Number(process.env.DOWNLOAD_MAX_RETRIES)
+    : undefined,
+  baseDelayMs: Number(process.env.DOWNLOAD_RETRY_BASE_MS) || undefined,
+  maxDelayMs: Number(process.env.DOWNLOAD_RETRY_MAX_MS) || undefined,
+  ladder: ladderFromEnv(process.env.FORMAT_FALLBACK_LADDER),
+});
+
+// Replace the value of the -f argument, if there is one
+function withFormat(args, format) {
+  const idx = args.indexOf("-f");
+  if (!format || idx === -1) return args;
+  const next = [...args];
+  next[idx + 1] = format;
+  return next;
+}
+
+// Drop an option and its value (every occurrence)
+function withoutOption(args, option) {
+  return args.filter((arg, i) => arg !== option && args[i - 1] !== option);
+}
+
+// Set the value of an option (every occurrence)
+function withOptionValue(args, option, value) {
+  return args.map((arg, i) => (args[i - 1] === option ? value : arg));
+}
+
+// yt-dlp calls that stop (together with their ffmpeg children) when `signal`
+// aborts
+function execYtDlp(args, options = {}, signal) {
+  const emitter = ytDlpWrap.exec(args, spawnOptions(options));
+  bindAbortSignal(signal, emitter.ytDlpProcess);
+  return emitter;
+}
+
+function execYtDlpPromise(args, options = {}, signal) {
+  const promise = ytDlpWrap.execPromise(args, spawnOptions(options));
+  bindAbortSignal(signal, promise.ytDlpProcess);
+  return promise;
+}
+
+// execYtDlpPromise for downloads, with yt-dlp's progress parsed and passed to
+// onProgress (see parseYtDlpProgress)
+function execYtDlpWithProgress(args, options, signal, onProgress) {
+  return new Promise((resolve, reject) => {
+    execYtDlp(
+      ["--newline", "--progress-template", YTDLP_PROGRESS_TEMPLATE, ...args],
+      options,
+      signal
+    )
+      .on("ytDlpEvent", (type, data) => {
+        if (type === "progress") onProgress(parseYtDlpProgress(data));
+      })
+      .on("error", (err) =>
+        reject(signal && signal.aborted ? createAbortError() : err)
+      )
+      .on("close", () =>
+        signal && signal.aborted ? reject(createAbortError()) : resolve()
+      );
+  });
+}
+
+// Same as ytDlpWrap.getVideoInfo, but cancellable
+async function getVideoInfo(args, signal) {
+  const stdout = await execYtDlpPromise([...args, "--dump-json"], {}, signal);
+  try {
+    return JSON.parse(stdout);
+  } catch (e) {
+    return JSON.parse("[" + stdout.replace(/\n/g, ",").slice(0, -1) + "]");
+  }
+}
+
+// Info JSON of single videos, shared by the metadata endpoints and the
+// downloads that follow them so a video is only extracted once
+const metadataCache = createMetadataCache({
+  ttlMs: Number(process.env.METADATA_CACHE_TTL_MS) || undefined,
+  maxEntries: Number(process.env.METADATA_CACHE_MAX_ENTRIES) || undefined,
+});
+
+// Cache key for a video URL: the platform id when there is one
+function infoCacheKey(url) {
+  const key = canonicalVideoKey(url);
+  return key && !key.startsWith("url:") ? key : url;
+}
+
+// URLs that list a playlist instead of a single video when extracted without
+// --no-playlist
+function isPlaylistUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.searchParams.has("list") || /\/playlist\b/.test(url);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Runs downloads from a cached info JSON (--load-info-json) instead of
+// extracting the video again. `run(sourceArgs)` gets the arguments that name
+// the video. Stream URLs in the info can expire, so any other failure than a
+// missing format drops the cached entry and switches back to the URL.
+function infoSource(url, info, dir) {
+  const infoFile = path.join(dir, `${uuidv4()}.info.json`);
+  fs.writeFileSync(infoFile, JSON.stringify(info));
+  let useInfo = true;
+
+  return async function runFromSource(run, signal) {
+    if (useInfo) {
+      try {
+        return await run(["--load-info-json", infoFile]);
+      } catch (err) {
+        if ((signal && signal.aborted) || classifyError(err) === "format") {
+          throw err;
+        }
+        console.warn(`Cached info for ${url} failed, extracting again`);
+        useInfo = false;
+        metadataCache.remove(infoCacheKey(url));
+      }
+    }
+    return run([url]);
+  };
+}
+
 const app = express();
 app.set("trust proxy", 1);
 
@@ -46,17 +337,29 @@ io.on("connection", (socket) => {
     socket.join(downloadId);
     console.log(`Client joined download room: ${downloadId}`);
   });
+
+  socket.on("cancel", (downloadId) => {
+    const cancelled = jobs.cancelRoom(downloadId);
+    console.log(
+      `Client cancelled download room: ${downloadId} (${cancelled.length} job(s))`
+    );
+  });
 });
 
 app.use(
   cors({
     origin: ["https://videodl.netlify.app", "http://localhost:5173"],
     credentials: true,
+    // The frontend names saved files after the server's filename
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 app.use(bodyParser.json());
 
 // ✅ Fix for rate-limit trust proxy validation
+// The strict limit applies to the routes that start downloads; the rest of
+// the API (job polling, resumed file downloads, thumbnails) gets a much
+// higher one
 const limiter = rateLimit({
   windowMs: 10 * 60 * 1000,
   max: 30,
@@ -66,7 +369,16 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
-app.use(limiter);
+const apiLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 1000,
+  message: {
+    error: "Too many requests from this IP, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use("/api", apiLimiter);
 
 // Serve frontend static files
 app.use(express.static(path.join(__dirname, "../video-downloader/dist")));
@@ -144,25 +456,248 @@ function isValidVideoUrl(url) {
   );
 }
 
+// yt-dlp postprocessors that mean the download itself has finished, and the
+// progress phase each one reports
+const POSTPROCESS_PHASES = {
+  Merger: "merging",
+  FixupM3u8: "merging",
+  FixupM4a: "merging",
+  VideoConvertor: "recoding",
+  VideoRemuxer: "recoding",
+  ExtractAudio: "recoding",
+};
+
+// Subtitle codec each container takes for embedded subtitle tracks
+const SUBTITLE_CODECS = { mp4: "mov_text", mkv: "srt", webm: "webvtt" };
+
+// Convert a download to `container` with ffmpeg, reporting
+// ffmpeg's progress. Embedded subtitles, tags and chapters are kept; an
+// embedded cover isn't a video to recode, so it is put back from `cover`
+// (an image file) when given. With `transcode` (see transcodeOptions) the
+// streams are encoded with those settings, in two passes for a size limit;
+// each pass reports its share of the percentage; otherwise `codecArgs`
+// (see remuxArgs) say which streams are copied. Returns the new path.
+async function recodeVideo(
+  filePath,
+  container,
+  {
+    cover = null,
+    transcode = null,
+    codecArgs = [],
+    durationSec,
+    signal,
+    onProgress,
+  }
+) {
+  const base = filePath.replace(/\.[^.]+$/, "");
+  const output = `${base}.${container}`;
+  // A conversion can keep the extension, so it writes next to the input first
+  const target =
+    output === filePath ? `${base}.transcoded.${container}` : output;
+  const withCover = cover && !NO_COVER_EXTS.includes(container);
+  const passes = transcode ? transcodePasses(transcode) : 1;
+  const passLogFile = `${base}.passlog`;
+  const passProgress = (pass) => (progress) =>
+    onProgress({
+      ...progress,
+      percent:
+        progress.percent === null
+          ? null
+          : ((pass - 1) * 100 + progress.percent) / passes,
+    });
+
+  if (passes === 2) {
+    // First pass: analyze the video only
+    await runFfmpeg(
+      [
+        "-y",
+        "-i",
+        filePath,
+        "-map",
+        "0:V?",
+        ...videoEncodeArgs(transcode, { durationSec, pass: 1, passLogFile }),
+        "-an",
+        "-f",
+        "null",
+        os.devNull,
+      ],
+      { durationSec, signal, onProgress: passProgress(1) }
+    );
+  }
+  await runFfmpeg(
+    [
+      "-y",
+      "-i",
+      filePath,
+      ...(withCover ? ["-i", cover] : []),
+      "-map",
+      "0:V?",
+      "-map",
+      "0:a?",
+      "-map",
+      "0:s?",
+      ...(transcode
+        ? [
+            ...videoEncodeArgs(transcode, {
+              durationSec,
+              pass: passes === 2 ? 2 : null,
+              passLogFile,
+            }),
+            ...audioEncodeArgs(transcode, container),
+          ]
+        : codecArgs),
+      ...(withCover
+        ? ["-map", "1:v", "-c:v:1", "copy", "-disposition:v:1", "attached_pic"]
+        : []),
+      "-c:s",
+      SUBTITLE_CODECS[container],
+      target,
+    ],
+    { durationSec, signal, onProgress: passProgress(passes) }
+  );
+  fs.rmSync(filePath, { force: true });
+  if (target !== output) fs.renameSync(target, output);
+  return output;
+}
+
+// Turn a downloaded video into a `container` file the cheapest way that
+// works: kept as it is when it already is one with streams that fit,
+// otherwise remuxed with only the streams that don't fit re-encoded (see
+// remuxPlan). A `transcode` always encodes. onPhase gets the phase
+// ("remuxing", "recoding" or "transcoding") before ffmpeg starts. Returns
+// { filePath, conversion }, conversion being { strategy, videoCodec,
+// audioCodec, video, audio } with strategy "none", "transcode" or one of
+// remuxPlan's.
+async function convertOutput(
+  filePath,
+  container,
+  { cover = null, transcode = null, durationSec, signal, onPhase, onProgress }
+) {
+  if (transcode) {
+    onPhase("transcoding");
+    return {
+      filePath: await recodeVideo(filePath, container, {
+        cover,
+        transcode,
+        durationSec,
+        signal,
+        onProgress,
+      }),
+      conversion: {
+        strategy: "transcode",
+        videoCodec: null,
+        audioCodec: null,
+        video: "encode",
+        audio: "encode",
+      },
+    };
+  }
+  const plan = remuxPlan(await probeStreams(filePath, { signal }), container);
+  if (plan.strategy === "remux" && path.extname(filePath) === `.${container}`) {
+    return { filePath, conversion: { ...plan, strategy: "none" } };
+  }
+  onPhase(plan.strategy === "remux" ? "remuxing" : "recoding");
+  return {
+    filePath: await recodeVideo(filePath, container, {
+      cover,
+      codecArgs: remuxArgs(plan, container),
+      durationSec,
+      signal,
+      onProgress,
+    }),
+    conversion: plan,
+  };
+}
+
 // Download helper with socket.io progress emit
-async function downloadWithProgress({ url, quality, downloadId, io }) {
-  const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+// onState/onProgress let the job engine follow the download phases. `emit`
+// sends "progress" and "retry" events to every room following the job.
+// "progress" carries { phase, percent, downloadedBytes, totalBytes, speed,
+// speedUnit, eta, fragmentIndex, fragmentCount }; fields a phase can't know
+// are null. speedUnit is "B/s" for transfers and "x" (times real time) for
+// ffmpeg steps.
+// Output options:
+// - audio: keep only the audio, in that codec (see audioOptions)
+// - container: where videos end up (see VIDEO_CONTAINERS)
+// - clip: only these time ranges, several as a ZIP (see clipOptions)
+// - subtitles: embedded, or sidecars in a ZIP (see subtitleOptions)
+// - embed: tag with metadata, chapters and cover (see embedArgs)
+// - splitChapters: a ZIP with a file per chapter, listed in meta.chapters
+// - transcode: re-encode with these settings (see transcodeOptions)
+// meta.conversions lists how each video was converted (see convertOutput).
+async function downloadWithProgress({
+  url,
+  quality,
+  audio = null,
+  container = "mp4",
+  clip = null,
+  subtitles = null,
+  embed = false,
+  splitChapters = false,
+  transcode = null,
+  emit = () => {},
+  signal,
+  onState = () => {},
+  onProgress = () => {},
+}) {
+  const tmpDir = createWorkDir();
+  const reportRetry = (attempt) => {
+    console.warn(`Retrying download of ${url}:`, attempt);
+    emit("retry", attempt);
+  };
+  const reportProgress = (phase, progress = {}) =>
+    emit("progress", {
+      phase,
+      percent: null,
+      downloadedBytes: null,
+      totalBytes: null,
+      speed: null,
+      speedUnit: null,
+      eta: null,
+      fragmentIndex: null,
+      fragmentCount: null,
+      ...progress,
+    });
 
   try {
     // Detect cookies.txt file if needed for private videos
     const cookiesFile = getCookiesFile(url);
+    onState("fetching-info");
+    reportProgress("extracting");
 
     // Get video info for filename
     const infoArgs = ["--no-playlist"];
     if (cookiesFile) infoArgs.push("--cookies", cookiesFile);
     infoArgs.push(url);
 
-    const info = await ytDlpWrap.getVideoInfo(infoArgs);
+    const info = await metadataCache.fetch(infoCacheKey(url), () =>
+      retryPolicy.run(() => getVideoInfo(infoArgs, signal), {
+        signal,
+        onAttempt: reportRetry,
+      })
+    );
+    if (
+      clip &&
+      info.duration &&
+      clip.ranges.some((range) => range.start >= info.duration)
+    ) {
+      throw new Error(
+        `Clip starts after the end of the video (${info.duration}s)`
+      );
+    }
+    const fromSource = infoSource(url, info, tmpDir.name);
     const safeFilename = sanitizeFilename(info.title || uuidv4());
-    const outputPath = path.join(tmpDir.name, `${safeFilename}.mp4`);
+    // yt-dlp writes the final output path(s) and subtitle files here
+    const filepathFile = path.join(tmpDir.name, `${uuidv4()}.filepath`);
+    const subtitlesFile = path.join(tmpDir.name, `${uuidv4()}.subtitles`);
 
     return new Promise((resolve, reject) => {
-      const args = ["--no-playlist", "--newline"];
+      const args = [
+        "--no-playlist",
+        "--newline",
+        "--progress-template",
+        YTDLP_PROGRESS_TEMPLATE,
+      ];
 
       // Add cookies if available
       if (cookiesFile) {
@@ -173,13 +708,9 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
       if (url.includes("facebook.com")) {
         // Always use best H.264 video + AAC audio for Facebook for compatibility
         args.push("-f", "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best");
-        args.push("--merge-output-format", "mp4");
-        args.push("--recode-video", "mp4");
       } else if (url.includes("x.com") || url.includes("twitter.com")) {
-        // For X (Twitter), let yt-dlp pick and merge best video+audio (no recode)
+        // For X (Twitter), let yt-dlp pick and merge best video+audio
         args.push("-f", "bestvideo*+bestaudio/best");
-        args.push("--merge-output-format", "mp4");
-        // Do NOT add --recode-video for X
       } else if (url.includes("instagram.com")) {
         // For Instagram: allow user to select any available format (audio or video)
         if (quality) {
@@ -188,8 +719,6 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
           // Default: best MP4 video+audio for compatibility
           args.push("-f", "bestvideo[ext=mp4]+bestaudio[ext=m4a]/best");
         }
-        args.push("--merge-output-format", "mp4");
-        args.push("--recode-video", "mp4");
         // Add browser-like headers for Instagram
         args.push(
           "--user-agent",
@@ -213,9 +742,8 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
             selectedFormat.acodec &&
             selectedFormat.acodec !== "none"
           ) {
-            // Audio-only: use the selected format as-is (no mp4 merge/recode)
+            // Audio-only: use the selected format as-is (no mp4 merge)
             args.push("-f", quality);
-            // Remove mp4 merge/recode flags later
           } else if (
             selectedFormat &&
             selectedFormat.vcodec &&
@@ -223,18 +751,12 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
           ) {
             // Video-only: merge with best audio
             args.push("-f", `${quality}+bestaudio[acodec^=mp4a]/best`);
-            args.push("--merge-output-format", "mp4");
-            args.push("--recode-video", "mp4");
           } else {
             // Use the exact user-selected format
             args.push("-f", quality);
-            args.push("--merge-output-format", "mp4");
-            args.push("--recode-video", "mp4");
           }
         } else {
           args.push("-f", quality);
-          args.push("--merge-output-format", "mp4");
-          args.push("--recode-video", "mp4");
         }
         // Add browser-like user-agent for YouTube
         args.push(
@@ -244,12 +766,11 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
       } else {
         // Default: best H.264 video + AAC audio, fallback to best
         args.push("-f", "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best");
-        args.push("--merge-output-format", "mp4");
-        args.push("--recode-video", "mp4");
       }
 
       // Merge into MP4 using ffmpeg
-      // Only add these if not audio-only
+      // Only add this if not audio-only; whether the output still needs
+      // converting is decided after the download (see convertOutput)
       const isAudioOnly =
         url.includes("youtube.com") || url.includes("youtu.be")
           ? (() => {
@@ -264,122 +785,346 @@ async function downloadWithProgress({ url, quality, downloadId, io }) {
               );
             })()
           : false;
-      if (!isAudioOnly) {
-        args.push("--merge-output-format", "mp4");
-        args.push("--recode-video", "mp4");
+      if (!isAudioOnly) args.push("--merge-output-format", "mp4");
+
+      // Audio mode: fetch the audio only and let yt-dlp convert it to the
+      // requested codec instead of merging into MP4
+      if (audio) {
+        const audioArgs = withFormat(
+          withoutOption(args, "--merge-output-format"),
+          audioFormatSelector(info, quality)
+        );
+        args.splice(0, args.length, ...audioArgs, ...audioExtractArgs(audio));
+      } else if (container !== "mp4") {
+        const containerArgs = withOptionValue(
+          args,
+          "--merge-output-format",
+          VIDEO_CONTAINERS[container].merge
+        );
+        args.splice(0, args.length, ...containerArgs);
       }
 
-      // Safe output file pattern
-      args.push("-o", `${safeFilename}.%(ext)s`);
+      args.push(...printFilepathArgs(filepathFile));
+      if (embed) args.push(...embedArgs(audio ? audio.format : container));
+      if (splitChapters) args.push(...splitChapterArgs());
+      if (subtitles) {
+        args.push(
+          ...subtitleArgs(subtitles),
+          ...printSubtitlesArgs(subtitlesFile)
+        );
+      }
+
+      // Safe output file pattern; clips are named after their exact range
+      // (fractions too, so ranges in the same second get their own file)
+      if (clip) {
+        args.push(...downloadSectionArgs(clip.ranges, clip));
+        args.push(
+          "-o",
+          `${safeFilename} (%(section_start)s-%(section_end)s).%(ext)s`
+        );
+      } else {
+        args.push("-o", `${safeFilename}.%(ext)s`);
+      }
 
       // Add verbose for debugging (optional)
       // args.push("--verbose");
 
-      args.push(url);
-
-      let triedFallback = false;
-
-      function runYtDlp(currentArgs) {
-        const ytProcess = ytDlpWrap.exec(currentArgs, { cwd: tmpDir.name });
-        ytProcess
-          .on("progress", (progress) => {
-            if (downloadId) {
-              io.to(downloadId).emit("progress", {
-                percent: progress.percent,
-              });
-            }
-          })
-          .on("stdout", (data) => {
-            console.log(`[yt-dlp stdout] ${data}`);
-          })
-          .on("stderr", (data) => {
-            console.error(`[yt-dlp stderr] ${data}`);
-          })
-          .on("error", (err) => {
-            // Improved error logging
-            console.error("yt-dlp error:", err);
-            if (err && err.stderr) {
-              console.error("yt-dlp stderr output:", err.stderr);
-            }
-            if (
-              !triedFallback &&
-              !url.includes("facebook.com") &&
-              quality &&
-              err &&
-              (err.message?.includes("Requested format is not available") ||
-                err.stderr?.includes("Requested format is not available"))
-            ) {
-              triedFallback = true;
-              const fallbackArgs = [...args];
-              // Replace the format argument with best compatible
-              const formatIndex = fallbackArgs.findIndex(
-                (a, i) => a === "-f" && fallbackArgs[i + 1] === quality
-              );
-              if (formatIndex !== -1) {
-                fallbackArgs[formatIndex + 1] =
-                  "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
+      // One yt-dlp run; resolves with the output files (one per clip range)
+      // or rejects with its error
+      const runYtDlp = (currentArgs) =>
+        new Promise((resolveAttempt, rejectAttempt) => {
+          const ytProcess = execYtDlp(
+            currentArgs,
+            { cwd: tmpDir.name },
+            signal
+          );
+          onState("downloading");
+          ytProcess
+            .on("ytDlpEvent", (type, data) => {
+              if (type === "progress") {
+                const progress = parseYtDlpProgress(data);
+                if (progress.percent !== null) onProgress(progress.percent);
+                reportProgress("downloading", {
+                  ...progress,
+                  speedUnit: "B/s",
+                });
+              } else if (POSTPROCESS_PHASES[type]) {
+                onState("post-processing");
+                reportProgress(POSTPROCESS_PHASES[type]);
               }
-              return runYtDlp(fallbackArgs);
-            }
-            tmpDir.removeCallback();
-            reject(err);
-          })
-          .on("close", () => {
-            // Check for output
-            // Find the merged .mp4 file (not .f*.mp4, not .txt, not .m4a)
-            const mergedFile = fs.readdirSync(tmpDir.name).find(
-              (file) =>
-                file.endsWith(".mp4") &&
-                !file.includes(".f") && // not a fragment
-                !file.includes(".temp") &&
-                !file.endsWith(".part.mp4")
-            );
+            })
+            .on("stderr", (data) => {
+              console.error(`[yt-dlp stderr] ${data}`);
+            })
+            .on("error", (err) => {
+              if (signal && signal.aborted) {
+                return rejectAttempt(createAbortError());
+              }
+              // Improved error logging
+              console.error("yt-dlp error:", err);
+              if (err && err.stderr) {
+                console.error("yt-dlp stderr output:", err.stderr);
+              }
+              rejectAttempt(err);
+            })
+            .on("close", () => {
+              if (signal && signal.aborted) {
+                return rejectAttempt(createAbortError());
+              }
+              // Check for output
+              const outputFiles = readPrintedFilepaths(
+                filepathFile,
+                tmpDir.name
+              ).filter((file) => fs.existsSync(file));
 
-            if (!mergedFile) {
-              // Check for .txt error file
-              const txtFile = fs
-                .readdirSync(tmpDir.name)
-                .find((file) => file.endsWith(".txt"));
-              if (txtFile) {
-                const errorContent = fs.readFileSync(
-                  path.join(tmpDir.name, txtFile),
-                  "utf8"
-                );
-                tmpDir.removeCallback();
-                return reject(
-                  new Error(
-                    `Download failed: Platform returned a .txt file instead of video.\n\nError content:\n${errorContent.substring(
-                      0,
-                      500
-                    )}`
-                  )
+              if (
+                outputFiles.length === 0 ||
+                outputFiles.some((file) => file.endsWith(".txt"))
+              ) {
+                // Check for .txt error file
+                const txtFile = fs
+                  .readdirSync(tmpDir.name)
+                  .find((file) => file.endsWith(".txt"));
+                if (txtFile) {
+                  const errorContent = fs.readFileSync(
+                    path.join(tmpDir.name, txtFile),
+                    "utf8"
+                  );
+                  return rejectAttempt(
+                    new Error(
+                      `Download failed: Platform returned a .txt file instead of video.\n\nError content:\n${errorContent.substring(
+                        0,
+                        500
+                      )}`
+                    )
+                  );
+                }
+                return rejectAttempt(
+                  new Error("Download failed: No output file found.")
                 );
               }
-              tmpDir.removeCallback();
-              return reject(
-                new Error("Download failed: No merged .mp4 file found.")
-              );
-            }
 
-            const fullPath = path.join(tmpDir.name, mergedFile);
-            resolve({
-              filePath: fullPath,
-              filename: mergedFile,
-              cleanup: tmpDir.removeCallback,
+              resolveAttempt(outputFiles);
             });
+        });
+
+      // yt-dlp recodes without reporting progress, and re-encodes streams
+      // that could be copied, so converting to `container` (and
+      // transcoding) runs as a separate ffmpeg step after the download.
+      // Audio is kept as yt-dlp wrote it.
+      const convert = Boolean(transcode) || (!audio && !isAudioOnly);
+      const convertFile = (filePath, durationSec) => {
+        const cover = coverFor(filePath);
+        let phase = null;
+        return convertOutput(filePath, container, {
+          cover: embed && fs.existsSync(cover) ? cover : null,
+          transcode,
+          durationSec,
+          signal,
+          onPhase: (name) => {
+            phase = name;
+            onState("post-processing");
+            reportProgress(phase, { percent: 0 });
+          },
+          onProgress: (progress) =>
+            reportProgress(phase, {
+              percent: progress.percent,
+              speed: progress.speed,
+              speedUnit: "x",
+              eta: progress.eta,
+            }),
+        });
+      };
+      const finishOutput = async (filePaths) => {
+        // Split downloads keep the chapter files in place of the full video
+        const chapterFiles = splitChapters
+          ? readChapterFiles(path.join(tmpDir.name, CHAPTERS_DIR))
+          : [];
+        const chapters = chapterFiles.length > 0 ? chapterList(info) : null;
+        const mediaPaths = chapters ? chapterFiles : filePaths;
+        const outputPaths = [];
+        // How each output was converted, so the CPU spent can be audited
+        const conversions = [];
+        for (const [i, filePath] of mediaPaths.entries()) {
+          const range = chapters ? chapters[i] : clip && clip.ranges[i];
+          const durationSec = range
+            ? (range.end === null ? info.duration : range.end) - range.start
+            : info.duration;
+          if (!convert) {
+            outputPaths.push(filePath);
+            continue;
+          }
+          const converted = await convertFile(filePath, durationSec);
+          outputPaths.push(converted.filePath);
+          conversions.push({
+            filename: path.basename(converted.filePath),
+            ...converted.conversion,
           });
-      }
-      runYtDlp(args);
+        }
+        const sidecars = subtitles
+          ? readPrintedSubtitles(subtitlesFile, tmpDir.name)
+          : [];
+        const meta = {};
+        if (chapters) {
+          meta.chapters = chapters.map((chapter, i) => ({
+            ...chapter,
+            filename: outputPaths[i] ? path.basename(outputPaths[i]) : null,
+          }));
+        }
+        if (convert) meta.conversions = conversions;
+        const resultMeta = Object.keys(meta).length > 0 ? meta : null;
+        if (outputPaths.length === 1 && sidecars.length === 0) {
+          return {
+            filePath: outputPaths[0],
+            filename: path.basename(outputPaths[0]),
+            cleanup: tmpDir.removeCallback,
+            meta: resultMeta,
+          };
+        }
+        let label = "";
+        if (outputPaths.length > 1) label = chapters ? " chapters" : " clips";
+        const zipPath = path.join(tmpDir.name, `${safeFilename}${label}.zip`);
+        await zipFiles(
+          [...outputPaths, ...sidecars].map((filePath) => ({
+            filePath,
+            name: path.basename(filePath),
+          })),
+          zipPath
+        );
+        return {
+          filePath: zipPath,
+          filename: path.basename(zipPath),
+          cleanup: tmpDir.removeCallback,
+          meta: resultMeta,
+        };
+      };
+
+      const formatIdx = args.indexOf("-f");
+      retryPolicy
+        .run(
+          ({ format }) =>
+            fromSource(
+              (source) => runYtDlp(withFormat([...args, ...source], format)),
+              signal
+            ),
+          {
+            format: formatIdx !== -1 ? args[formatIdx + 1] : undefined,
+            signal,
+            onAttempt: reportRetry,
+          }
+        )
+        .then(finishOutput)
+        .then(resolve, (err) => {
+          tmpDir.removeCallback();
+          reject(signal && signal.aborted ? createAbortError() : err);
+        });
     });
   } catch (err) {
     tmpDir.removeCallback();
-    throw err;
+    throw signal && signal.aborted ? createAbortError() : err;
   }
 }
 
-// API: initialize download, return formats + downloadId + filename
+// Turn `range` ({ start, end }) of a video into an animation (see
+// animationOptions and animationArgs). The video is read from `sourcePath`
+// (a finished or cached download) when there is one; otherwise just the
+// range is downloaded first. Progress events are those of
+// downloadWithProgress, then the "converting" phase.
+async function createAnimation({
+  url,
+  quality,
+  sourcePath = null,
+  range,
+  animation,
+  emit = () => {},
+  signal,
+  onState = () => {},
+  onProgress = () => {},
+}) {
+  const duration = range.end - range.start;
+  let input = sourcePath;
+  let inputStart = range.start;
+  let baseName = sourcePath
+    ? `${path.basename(sourcePath, path.extname(sourcePath))} (${range.start}-${
+        range.end
+      })`
+    : null;
+  let download = null;
+  if (!sourcePath) {
+    // Exact cuts, so the clip starts where the animation does
+    download = await downloadWithProgress({
+      url,
+      quality,
+      clip: { ranges: [range], accurate: true },
+      emit,
+      signal,
+      onState,
+      onProgress,
+    });
+    input = download.filePath;
+    inputStart = 0;
+    baseName = path.basename(input, path.extname(input));
+  }
+
+  const tmpDir = createWorkDir();
+  const filename = `${baseName}${ANIMATION_FORMATS[animation.format].ext}`;
+  const output = path.join(tmpDir.name, filename);
+  const reportConverting = (progress) =>
+    emit("progress", {
+      phase: "converting",
+      percent: null,
+      downloadedBytes: null,
+      totalBytes: null,
+      speed: null,
+      speedUnit: null,
+      eta: null,
+      fragmentIndex: null,
+      fragmentCount: null,
+      ...progress,
+    });
+  try {
+    onState("post-processing");
+    reportConverting({ percent: 0 });
+    await runFfmpeg(
+      animationArgs(input, output, {
+        ...animation,
+        start: inputStart,
+        duration,
+      }),
+      {
+        durationSec: duration,
+        signal,
+        onProgress: (progress) => {
+          if (progress.percent !== null) onProgress(progress.percent);
+          reportConverting({
+            percent: progress.percent,
+            speed: progress.speed,
+            speedUnit: "x",
+            eta: progress.eta,
+          });
+        },
+      }
+    );
+  } catch (err) {
+    tmpDir.removeCallback();
+    throw signal && signal.aborted ? createAbortError() : err;
+  } finally {
+    if (download) download.cleanup();
+  }
+  return {
+    filePath: output,
+    filename,
+    cleanup: tmpDir.removeCallback,
+    meta: { ...animation, ...range, downloaded: Boolean(download) },
+  };
+}
+
+// API: initialize download, return formats + downloadId + filename. The
+// formats are the video's format catalog (see formatCatalog), documented in
+// the README.
 app.post(
   "/api/init-download",
+  limiter,
   body("url")
     .custom(isValidVideoUrl)
     .withMessage("Invalid or unsupported video URL."),
@@ -400,19 +1145,17 @@ app.post(
         ? ["--no-playlist", "--cookies", cookiesFile, url]
         : ["--no-playlist", url];
 
-      const info = await ytDlpWrap.getVideoInfo(args);
-      const filename = sanitizeFilename(info.title || "video");
-
-      // Filter formats with URLs (exclude dash, live etc. if desired)
-      // Filter formats with playable video and exclude AV1
-      const formats = (info.formats || []).filter(
-        (f) => f.url && (!f.vcodec || !f.vcodec.includes("av01"))
+      const info = await metadataCache.fetch(infoCacheKey(url), () =>
+        ytDlpPool.run("metadata", req.ip, () => getVideoInfo(args))
       );
+      const filename = sanitizeFilename(info.title || "video");
 
       res.json({
         downloadId: uuidv4(),
         filename,
-        formats,
+        // AV1 is left out for compatibility
+        formats: formatCatalog(info, { excludeVideoCodecs: ["av1"] }),
+        subtitles: subtitleTracks(info),
       });
     } catch (err) {
       console.error("Init download error:", err);
@@ -425,15 +1168,114 @@ app.get("/api/ping", (req, res) => {
   res.send("Backend is alive!");
 });
 
-// API: download video (or metadata if no quality specified)
+// Whether outputs are tagged with metadata, chapters and cover when a request
+// doesn't set embedMetadata
+const EMBED_METADATA_DEFAULT = embedDefaultFromEnv(process.env.EMBED_METADATA);
+
+// Output fields: the video `container` (mp4, mkv, webm), or audio mode with
+// audioFormat (mp3, m4a, opus, flac) and, for the lossy ones, audioBitrate
+// in kbit/s. embedMetadata overrides EMBED_METADATA_DEFAULT; splitChapters
+// makes a file per chapter (not together with clip ranges). `transcode` is
+// a preset name or custom settings (see transcodeOptions) for videos.
+const outputValidators = [
+  body("container")
+    .optional()
+    .isIn(Object.keys(VIDEO_CONTAINERS))
+    .withMessage(
+      `Container must be one of: ${Object.keys(VIDEO_CONTAINERS).join(", ")}.`
+    ),
+  body("audioFormat")
+    .optional()
+    .isIn(Object.keys(AUDIO_FORMATS))
+    .withMessage(
+      `Audio format must be one of: ${Object.keys(AUDIO_FORMATS).join(", ")}.`
+    ),
+  body("audioBitrate")
+    .optional()
+    .isIn(AUDIO_BITRATES)
+    .withMessage(`Audio bitrate must be one of: ${AUDIO_BITRATES.join(", ")}.`),
+  body("embedMetadata").optional().isBoolean().toBoolean(),
+  body("splitChapters")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .custom((split, { req }) => !split || !clipRanges(req.body))
+    .withMessage("Split by chapters can't be combined with clip ranges."),
+  body("transcode").optional().custom(checkTranscode),
+];
+
+function checkTranscode(value, { req }) {
+  if (req.body.audioFormat) {
+    throw new Error("Audio downloads can't be transcoded.");
+  }
+  transcodeOptions(value, req.body.container);
+  return true;
+}
+
+function embedOption({ embedMetadata }) {
+  return embedMetadata === undefined ? EMBED_METADATA_DEFAULT : embedMetadata;
+}
+
+// Clip fields of single downloads: `start`/`end` and/or `ranges` ([{ start,
+// end }]) as seconds or "HH:MM:SS.ms" (see clipRanges), and `accurateCuts`
+// to re-encode at the exact frames instead of cutting at keyframes
+const clipValidators = [
+  body("ranges").optional().isArray({ min: 1, max: MAX_CLIP_RANGES }),
+  body("accurateCuts").optional().isBoolean().toBoolean(),
+  body().custom((value) => {
+    clipRanges(value);
+    return true;
+  }),
+];
+
+function clipOptions(body) {
+  const ranges = clipRanges(body);
+  return ranges ? { ranges, accurate: Boolean(body.accurateCuts) } : null;
+}
+
+// Subtitle fields: subtitleLangs ("en,es", an array of codes, or "all"),
+// subtitleFormat (srt, vtt) for sidecar files, subtitleMode (sidecar,
+// embed) and autoSubtitles to fall back to automatic captions
+const subtitleValidators = [
+  body("subtitleLangs")
+    .optional()
+    .custom(
+      (value) =>
+        (Array.isArray(value) &&
+          value.length <= 20 &&
+          value.every(
+            (lang) => typeof lang === "string" && /^[\w-]+$/.test(lang)
+          )) ||
+        (typeof value === "string" && /^[\w-]+(,[\w-]+)*$/.test(value))
+    )
+    .withMessage('Subtitle languages look like "en,es" or "all".'),
+  body("subtitleFormat")
+    .optional()
+    .isIn(SUBTITLE_FORMATS)
+    .withMessage(
+      `Subtitle format must be one of: ${SUBTITLE_FORMATS.join(", ")}.`
+    ),
+  body("subtitleMode")
+    .optional()
+    .isIn(SUBTITLE_MODES)
+    .withMessage(`Subtitle mode must be one of: ${SUBTITLE_MODES.join(", ")}.`),
+  body("autoSubtitles").optional().isBoolean().toBoolean(),
+];
+
+// API: download video (or metadata if no quality specified). Metadata lists
+// formats as a format catalog, for a playlist per video.
 app.post(
   "/api/downloads",
+  limiter,
   [
     body("url")
       .custom(isValidVideoUrl)
       .withMessage("Invalid or unsupported video URL."),
     body("quality").optional().isString().isLength({ max: 50 }), // Allow longer format_id
     body("downloadId").optional().isString().isLength({ max: 64 }),
+    ...outputValidators,
+    ...clipValidators,
+    ...subtitleValidators,
   ],
   async (req, res) => {
     // Log request body for debugging
@@ -446,6 +1288,13 @@ app.post(
     }
 
     const { url, quality, downloadId } = req.body;
+    const audio = audioOptions(req.body.audioFormat, req.body.audioBitrate);
+    const container = req.body.container || "mp4";
+    const clip = clipOptions(req.body);
+    const subtitles = subtitleOptions(req.body);
+    const embed = embedOption(req.body);
+    const splitChapters = Boolean(req.body.splitChapters);
+    const transcode = transcodeOptions(req.body.transcode, container);
 
     try {
       const cookiesFile = getCookiesFile(url);
@@ -467,8 +1316,16 @@ app.post(
 
       // REMOVED cookies check to allow fetching without cookies for public videos
 
-      // If quality not specified, return metadata (playlist or single)
-      if (!quality) {
+      // If neither quality, audio mode, a clip, subtitles, a chapter split
+      // nor a transcode are specified, return metadata (playlist or single)
+      if (
+        !quality &&
+        !audio &&
+        !clip &&
+        !subtitles &&
+        !splitChapters &&
+        !transcode
+      ) {
         const args = cookiesFile
           ? [
               "--cookies",
@@ -479,8 +1336,20 @@ app.post(
             ]
           : ["--dump-single-json", "--flat-playlist", url];
 
-        const infoJson = await ytDlpWrap.execPromise(args);
-        const info = JSON.parse(infoJson);
+        const poolOptions = {
+          onPosition: downloadId
+            ? (position) => io.to(downloadId).emit("queue", { position })
+            : undefined,
+        };
+        // Playlists are always listed fresh; single videos go through the
+        // cache the download will read from
+        const listInfo = () =>
+          ytDlpPool
+            .run("metadata", req.ip, () => execYtDlpPromise(args), poolOptions)
+            .then((infoJson) => JSON.parse(infoJson));
+        const info = isPlaylistUrl(url)
+          ? await listInfo()
+          : await metadataCache.fetch(infoCacheKey(url), listInfo);
 
         if (Array.isArray(info.entries)) {
           // Playlist detected: fetch full info per video
@@ -494,8 +1363,18 @@ app.post(
                 ? ["--cookies", cookiesFile, "--dump-single-json", videoUrl]
                 : ["--dump-single-json", videoUrl];
 
-              const fullInfoJson = await ytDlpWrap.execPromise(fullInfoArgs);
-              const fullInfo = JSON.parse(fullInfoJson);
+              const fullInfo = await metadataCache.fetch(
+                infoCacheKey(videoUrl),
+                () =>
+                  ytDlpPool
+                    .run(
+                      "metadata",
+                      req.ip,
+                      () => execYtDlpPromise(fullInfoArgs),
+                      poolOptions
+                    )
+                    .then((infoJson) => JSON.parse(infoJson))
+              );
 
               // --- Thumbnail robust extraction ---
               let thumbnail = fullInfo.thumbnail || null;
@@ -515,7 +1394,9 @@ app.post(
                 title: fullInfo.title || `Video ${fullInfo.id}`,
                 url: fullInfo.webpage_url || videoUrl,
                 thumbnail,
-                formats: fullInfo.formats || [],
+                formats: formatCatalog(fullInfo),
+                subtitles: subtitleTracks(fullInfo),
+                chapters: chapterList(fullInfo),
               };
             })
           );
@@ -528,7 +1409,8 @@ app.post(
         } else {
           // Single video metadata
           // --- Thumbnail robust extraction for single video ---
-          let singleInfo = info;
+          // A copy: `info` is the metadata cache's own object
+          let singleInfo = { ...info };
           let thumbnail = singleInfo.thumbnail || null;
           if (
             (!thumbnail || !/^https:/.test(thumbnail)) &&
@@ -540,24 +1422,57 @@ app.post(
             if (httpsThumb) thumbnail = httpsThumb.url;
           }
           singleInfo.thumbnail = thumbnail;
-          return res.json(singleInfo);
+          singleInfo.subtitleTracks = subtitleTracks(singleInfo);
+          singleInfo.chapterList = chapterList(singleInfo);
+          // The cached info keeps yt-dlp's formats for the download
+          return res.json({
+            ...singleInfo,
+            formats: formatCatalog(singleInfo),
+          });
         }
       }
 
-      // Download with progress emitting
-      const { filePath, filename, cleanup } = await downloadWithProgress({
-        url,
-        quality,
-        downloadId,
-        io,
-      });
+      // Download through the job engine, keeping the request open until done
+      const job = await runJobToCompletion(
+        "single",
+        {
+          url,
+          quality,
+          audio,
+          container,
+          clip,
+          subtitles,
+          embed,
+          splitChapters,
+          transcode,
+        },
+        {
+          room: downloadId,
+          res,
+          dedupeKey: singleDedupeKey(url, quality, {
+            audio,
+            container,
+            clip,
+            subtitles,
+            embed,
+            splitChapters,
+            transcode,
+          }),
+        }
+      );
+      const { filePath, filename } = job.result;
 
-      const stat = fs.statSync(filePath);
+      const stat = statOutput(filePath);
+      if (!stat) return res.status(410).json({ error: "Output expired" });
 
+      // The output stays on disk for the retention window; Content-Location
+      // points at the GET endpoint that can resume or re-fetch it.
       res.writeHead(200, {
-        "Content-Type": "video/mp4",
+        "Content-Type": await contentTypeFor(filename),
         "Content-Length": stat.size,
         "Content-Disposition": contentDisposition(filename),
+        "Content-Location": `/api/jobs/${job.id}/file`,
+        "X-Job-Id": job.id,
       });
 
       const stream = fs.createReadStream(filePath);
@@ -566,30 +1481,47 @@ app.post(
       let lastBytes = 0;
       const totalSize = stat.size;
 
-      stream.on("data", (chunk) => {
-        bytesSent += chunk.length;
-        const percent = (bytesSent / totalSize) * 100;
+      const emitStreaming = (progress) => {
         if (downloadId) {
           io.to(downloadId).emit("progress", {
-            percent,
+            phase: "streaming",
+            downloadedBytes: bytesSent,
+            totalBytes: totalSize,
+            speedUnit: "B/s",
+            eta: null,
+            fragmentIndex: null,
+            fragmentCount: null,
+            ...progress,
           });
         }
+      };
+
+      stream.on("data", (chunk) => {
+        bytesSent += chunk.length;
+        const now = Date.now();
+        // At most a few updates per second
+        if (now - lastEmit < 250) return;
+        const speed = Math.round(
+          ((bytesSent - lastBytes) * 1000) / (now - lastEmit)
+        );
+        emitStreaming({
+          percent: (bytesSent / totalSize) * 100,
+          speed,
+          eta: speed ? Math.round((totalSize - bytesSent) / speed) : null,
+        });
+        lastEmit = now;
+        lastBytes = bytesSent;
       });
       // Emit final progress with last speed and percent=100 when stream ends
       stream.on("end", () => {
-        if (downloadId) {
-          io.to(downloadId).emit("progress", {
-            percent: 100,
-          });
-        }
+        emitStreaming({ percent: 100, speed: null, eta: 0 });
       });
       stream.pipe(res);
+      res.on("close", () => stream.destroy());
 
-      stream.on("close", cleanup);
       stream.on("error", (err) => {
         console.error("Stream error:", err);
-        cleanup();
-        res.status(500).send("Failed to stream file");
+        res.destroy(err);
       });
     } catch (err) {
       console.error("Failed at /api/downloads with URL:", req.body.url);
@@ -648,149 +1580,1195 @@ app.post(
         });
       }
 
-      res.status(500).json({ error: "Download failed", details: err.message });
+      res.status(500).json({
+        error: "Download failed",
+        code: describeError(err).code,
+        details: err.message,
+      });
     }
   }
 );
 
-// API: multi-downloads (playlist ZIP)
+// manifest.json of a playlist ZIP: every requested item and what became of it
+function zipManifest(items) {
+  return {
+    createdAt: new Date().toISOString(),
+    items: items.map(
+      ({
+        index,
+        url,
+        title,
+        format,
+        filename,
+        chapters,
+        conversions,
+        status,
+        error,
+      }) => ({
+        index,
+        url,
+        title,
+        format,
+        status,
+        filename,
+        chapters,
+        conversions,
+        error: error ? { code: error.code, message: error.message } : null,
+      })
+    ),
+  };
+}
+
+// errors.txt of a playlist ZIP, for people rather than programs
+function zipErrorReport(failedItems, total) {
+  const lines = [
+    `${failedItems.length} of ${total} videos could not be downloaded.`,
+    "",
+  ];
+  for (const item of failedItems) {
+    lines.push(
+      `#${item.index + 1} ${item.title || "(untitled)"}`,
+      `  URL:    ${item.url}`,
+      `  Format: ${item.format || "default"}`,
+      `  Status: ${item.status}`,
+      `  Error:  ${item.error.code} - ${item.error.message}`,
+      item.error.detail ? `  Detail: ${item.error.detail}` : null,
+      ""
+    );
+  }
+  return lines.filter((line) => line !== null).join("\n");
+}
+
+// Videos of one ZIP downloaded at the same time (each also needs a pool slot)
+const ZIP_PARALLEL_ITEMS = Number(process.env.ZIP_PARALLEL_ITEMS) || 3;
+// Most videos a ZIP (explicit list or playlist selection) may contain
+const MAX_ZIP_ITEMS = Number(process.env.MAX_ZIP_ITEMS) || 200;
+// Quality policy for playlist items when the request doesn't pick one
+const PLAYLIST_DEFAULT_QUALITY =
+  process.env.PLAYLIST_DEFAULT_QUALITY in QUALITY_POLICIES
+    ? process.env.PLAYLIST_DEFAULT_QUALITY
+    : "best";
+
+// List a playlist (without per-video extraction) and turn the selected
+// entries into ZIP items with the format of the requested quality policy
+async function playlistVideos(
+  { url, items, newest, reverse, quality },
+  { clientId, signal, onPosition }
+) {
+  const cookiesFile = getCookiesFile(url);
+  const args = ["--flat-playlist", "--dump-single-json"];
+  if (cookiesFile) args.push("--cookies", cookiesFile);
+  args.push(url);
+  const infoJson = await ytDlpPool.run(
+    "metadata",
+    clientId,
+    () => execYtDlpPromise(args, {}, signal),
+    { signal, onPosition }
+  );
+  const info = JSON.parse(infoJson);
+  if (!Array.isArray(info.entries)) {
+    throw new Error("This URL is not a playlist");
+  }
+
+  const selected = selectPlaylistItems(info.entries, {
+    items,
+    newest,
+    reverse,
+  });
+  if (selected.length === 0) {
+    throw new Error("No playlist items match the selection");
+  }
+  if (selected.length > MAX_ZIP_ITEMS) {
+    throw new Error(
+      `The selection has ${selected.length} videos; the limit is ${MAX_ZIP_ITEMS}. Pick a smaller item range.`
+    );
+  }
+  const format = QUALITY_POLICIES[quality || PLAYLIST_DEFAULT_QUALITY];
+  return selected.map((entry) => ({
+    url:
+      entry.url ||
+      entry.webpage_url ||
+      `https://www.youtube.com/watch?v=${entry.id}`,
+    title: entry.title || `Video ${entry.position}`,
+    quality: format,
+  }));
+}
+
+// Download videos in parallel and add each one to a ZIP as soon as it is done.
+// The archive is written to disk (kept for the retention window) and, when
+// `liveOutput` is given, streamed into it at the same time. Item files are
+// deleted once they are in the archive. `runSlot(task, signal)` runs an
+// item's download, e.g. inside a process pool slot.
+// With `skipFailed`, a failed item is left out instead of failing the whole
+// ZIP (unless every item fails). The archive always ends with manifest.json,
+// plus errors.txt when items failed, and the result's meta lists the failures.
+// `archive` picks the format and compression (see createArchive); with a
+// `splitSize` the output is written as volumes of that many bytes instead.
+// Output options, as for downloadWithProgress, apply to every item:
+// - audio, container, subtitles (sidecars go next to each video), embed
+// - splitChapters: a video with chapters goes in as a folder of files
+// - transcode: an item's own `transcode` takes precedence
+// The manifest records how each video was converted (see convertOutput).
+async function downloadMultiToZip({
+  videos,
+  signal,
+  audio = null,
+  container = "mp4",
+  subtitles = null,
+  embed = false,
+  splitChapters = false,
+  transcode = null,
+  archive: archiveOptions = {},
+  skipFailed = false,
+  liveOutput = null,
+  runSlot = (task) => task(),
+  emit = () => {},
+  onState = () => {},
+  onProgress = () => {},
+  onRetry = () => {},
+}) {
+  const tmpDir = createWorkDir();
+  const { format = "zip", splitSize = null } = archiveOptions;
+  const filename = `videos${ARCHIVE_FORMATS[format].ext}`;
+  const archivePath = path.join(tmpDir.name, `${uuidv4()}-${filename}`);
+
+  const output = splitSize
+    ? createVolumeWriter(archivePath, splitSize)
+    : fs.createWriteStream(archivePath);
+  const archive = createArchive(archiveOptions);
+
+  archive.pipe(output);
+  if (liveOutput) archive.pipe(liveOutput);
+
+  // Item dirs by source file, removed once their entry has been written
+  const itemDirs = new Map();
+  archive.on("entry", (entry) => {
+    const dir = itemDirs.get(entry.sourcePath);
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Stops the other items when one fails
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  // Per-video status sent with every ZIP progress event: pending,
+  // downloading (with percent), done, or failed (with the typed error)
+  const items = videos.map((video, index) => ({
+    index,
+    url: video.url,
+    title: video.title || null,
+    format: video.quality || null,
+    filename: null,
+    chapters: null,
+    conversions: null,
+    status: "pending",
+    percent: 0,
+    error: null,
+  }));
+  const reportItems = () => {
+    const percent = Math.round(
+      items.reduce(
+        (sum, item) => sum + (item.status === "done" ? 100 : item.percent),
+        0
+      ) / items.length
+    );
+    onProgress(percent);
+    emit("progress", { phase: "downloading", isZip: true, percent, items });
+  };
+  const updateItem = (index, fields) => {
+    const item = items[index];
+    const changed = Object.keys(fields).some((k) => item[k] !== fields[k]);
+    Object.assign(item, fields);
+    if (changed) reportItems();
+  };
+
+  // Sidecar subtitles and chapters are separate files, which the media cache
+  // can't hold
+  const cacheable =
+    (!subtitles || subtitles.mode === "embed") && !splitChapters;
+
+  // Download one video into its own dir (so names can't clash with other
+  // items); resolves with { filePath, name, dir, sidecars, chapterFiles,
+  // conversions }, conversions being null for audio items
+  async function downloadItem(
+    { url, quality, title, transcode: itemTranscode = transcode },
+    index,
+    signal
+  ) {
+    const itemDir = fs.mkdtempSync(path.join(tmpDir.name, "item-"));
+    const itemKey = mediaCacheKey(url, quality, {
+      pipeline: "zip-item",
+      ...outputKeyFields({
+        audio,
+        container,
+        subtitles,
+        embed,
+        transcode: itemTranscode,
+      }),
+    });
+    const cached = cacheable && mediaCache.checkout(itemKey, itemDir);
+    if (cached) {
+      const name = title
+        ? `${sanitizeFilename(title)}${path.extname(cached.filename)}`
+        : cached.filename;
+      return {
+        filePath: cached.filePath,
+        name,
+        dir: itemDir,
+        sidecars: [],
+        chapterFiles: [],
+        conversions: cached.meta ? cached.meta.conversions : null,
+      };
+    }
+    const cookiesFile = getCookiesFile(url);
+
+    // REMOVED cookies check to allow fetching without cookies for public videos
+
+    const baseArgs = cookiesFile
+      ? ["--cookies", cookiesFile, "--no-playlist"]
+      : ["--no-playlist"];
+    const reportRetry = (attempt) => onRetry({ ...attempt, url });
+    const info = await metadataCache.fetch(infoCacheKey(url), () =>
+      retryPolicy.run(() => getVideoInfo([...baseArgs, url], signal), {
+        signal,
+        onAttempt: reportRetry,
+      })
+    );
+    const fromSource = infoSource(url, info, itemDir);
+
+    let formatArg;
+    if (audio) {
+      formatArg = audioFormatSelector(info, quality);
+    } else if (url.includes("facebook.com")) {
+      formatArg = "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
+    } else if (url.includes("instagram.com")) {
+      formatArg = "bestvideo[ext=mp4]+bestaudio[ext=m4a]/best";
+    } else if (quality) {
+      if (url.includes("youtube.com") || url.includes("youtu.be")) {
+        const selectedFormat = (info.formats || []).find(
+          (f) => f.format_id === quality
+        );
+        if (
+          selectedFormat &&
+          selectedFormat.vcodec &&
+          selectedFormat.acodec === "none"
+        ) {
+          formatArg = "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
+        } else {
+          formatArg = quality;
+        }
+      } else {
+        formatArg = quality;
+      }
+    } else {
+      formatArg = "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
+    }
+
+    // Use provided title sanitized or fallback
+    const safeTitle = title
+      ? sanitizeFilename(title)
+      : info.title
+      ? sanitizeFilename(info.title)
+      : uuidv4();
+
+    items[index].format = formatArg;
+    // Audio items are extracted and converted; videos end up in `container`
+    const filepathFile = path.join(itemDir, `${uuidv4()}.filepath`);
+    const subtitlesFile = path.join(itemDir, `${uuidv4()}.subtitles`);
+    // Videos are converted to `container` afterwards (see convertOutput)
+    const outputArgs = [
+      ...(audio
+        ? audioExtractArgs(audio)
+        : ["--merge-output-format", VIDEO_CONTAINERS[container].merge]),
+      ...printFilepathArgs(filepathFile),
+      ...(embed ? embedArgs(audio ? audio.format : container) : []),
+      ...(splitChapters ? splitChapterArgs() : []),
+      ...(subtitles
+        ? [...subtitleArgs(subtitles), ...printSubtitlesArgs(subtitlesFile)]
+        : []),
+      "-o",
+      `${safeTitle}.%(ext)s`,
+    ];
+
+    await retryPolicy.run(
+      ({ format }) =>
+        fromSource(
+          (source) =>
+            execYtDlpWithProgress(
+              [...baseArgs, "-f", format, ...outputArgs, ...source],
+              { cwd: itemDir },
+              signal,
+              (progress) => {
+                if (progress.percent !== null) {
+                  updateItem(index, { percent: Math.floor(progress.percent) });
+                }
+              }
+            ),
+          signal
+        ),
+      { format: formatArg, signal, onAttempt: reportRetry }
+    );
+
+    let filePath = readPrintedFilepath(filepathFile, itemDir);
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`File not found for ${url}`);
+    }
+    const sidecars = subtitles
+      ? readPrintedSubtitles(subtitlesFile, itemDir)
+      : [];
+    let chapterFiles = splitChapters
+      ? readChapterFiles(path.join(itemDir, CHAPTERS_DIR))
+      : [];
+
+    // How each video was converted, for the manifest
+    const conversions = [];
+    if (!audio) {
+      const convertFile = async (file, durationSec) => {
+        const cover = coverFor(file);
+        const converted = await convertOutput(file, container, {
+          cover: embed && fs.existsSync(cover) ? cover : null,
+          transcode: itemTranscode,
+          durationSec,
+          signal,
+          onPhase: () => {},
+          onProgress: (progress) => {
+            if (progress.percent !== null) {
+              updateItem(index, { percent: Math.floor(progress.percent) });
+            }
+          },
+        });
+        conversions.push({
+          filename: path.basename(converted.filePath),
+          ...converted.conversion,
+        });
+        return converted.filePath;
+      };
+      if (chapterFiles.length > 0) {
+        const chapters = chapterList(info);
+        const converted = [];
+        for (const [i, file] of chapterFiles.entries()) {
+          const chapter = chapters[i];
+          converted.push(
+            await convertFile(
+              file,
+              chapter ? chapter.end - chapter.start : null
+            )
+          );
+        }
+        chapterFiles = converted;
+      } else {
+        filePath = await convertFile(filePath, info.duration);
+      }
+    }
+    const filename = `${safeTitle}${path.extname(filePath)}`;
+
+    if (cacheable) {
+      try {
+        mediaCache.put(itemKey, filePath, filename, {
+          meta: audio ? null : { conversions },
+        });
+      } catch (err) {
+        console.error("Failed to cache download:", err.message);
+      }
+    }
+    return {
+      filePath,
+      name: filename,
+      dir: itemDir,
+      sidecars,
+      chapterFiles,
+      conversions: audio ? null : conversions,
+    };
+  }
+
+  let nextIndex = 0;
+  let firstError = null;
+  async function worker() {
+    while (nextIndex < videos.length) {
+      const index = nextIndex++;
+      const itemSignal = controller.signal;
+      if (itemSignal.aborted) throw createAbortError();
+      try {
+        const { filePath, name, dir, sidecars, chapterFiles, conversions } =
+          await runSlot(() => {
+            updateItem(index, { status: "downloading" });
+            return downloadItem(videos[index], index, itemSignal);
+          }, itemSignal);
+        // Entries are written in order, so the sidecars go in before the
+        // last media entry removes the item dir
+        for (const sidecar of sidecars) {
+          archive.file(sidecar, { name: path.basename(sidecar) });
+        }
+        if (chapterFiles.length > 0) {
+          // Chapters go in a folder named after the video
+          const folder = path.basename(name, path.extname(name));
+          const chapters = chapterFiles.map(
+            (file) => `${folder}/${path.basename(file)}`
+          );
+          itemDirs.set(chapterFiles[chapterFiles.length - 1], dir);
+          chapterFiles.forEach((file, i) =>
+            archive.file(file, mediaEntryOptions(archiveOptions, chapters[i]))
+          );
+          updateItem(index, {
+            status: "done",
+            percent: 100,
+            filename: `${folder}/`,
+            chapters,
+            conversions,
+          });
+        } else {
+          itemDirs.set(filePath, dir);
+          archive.file(filePath, mediaEntryOptions(archiveOptions, name));
+          updateItem(index, {
+            status: "done",
+            percent: 100,
+            filename: name,
+            conversions,
+          });
+        }
+      } catch (err) {
+        if (itemSignal.aborted) throw err;
+        updateItem(index, { status: "failed", error: describeError(err) });
+        firstError = firstError || err;
+        if (!skipFailed) {
+          controller.abort();
+          throw err;
+        }
+      }
+    }
+  }
+
+  try {
+    onState("downloading");
+    reportItems();
+    const workers = Array.from(
+      { length: Math.min(ZIP_PARALLEL_ITEMS, videos.length) },
+      worker
+    );
+    // Wait for every worker so no item is still running after a failure
+    const results = await Promise.allSettled(workers);
+    const failed = results.find((r) => r.status === "rejected");
+    if (failed) throw firstError || failed.reason;
+    const failedItems = items.filter((item) => item.status === "failed");
+    if (failedItems.length === items.length) throw firstError;
+
+    onState("post-processing");
+    archive.append(JSON.stringify(zipManifest(items), null, 2), {
+      name: "manifest.json",
+    });
+    if (failedItems.length > 0) {
+      archive.append(zipErrorReport(failedItems, items.length), {
+        name: "errors.txt",
+      });
+    }
+    const closed = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      output.on("error", reject);
+    });
+    await archive.finalize();
+    await closed;
+
+    // Volumes are served as videos.zip.001, videos.zip.002, ...
+    const volumes = splitSize
+      ? output.volumes.map((volumePath) => path.basename(volumePath))
+      : null;
+    return {
+      filePath: volumes ? output.volumes[0] : archivePath,
+      filename: volumes ? volumeName(filename, 1) : filename,
+      volumes,
+      cleanup: tmpDir.removeCallback,
+      meta: {
+        format,
+        volumes: volumes
+          ? output.volumes.map((volumePath, i) => ({
+              filename: volumeName(filename, i + 1),
+              size: fs.statSync(volumePath).size,
+            }))
+          : null,
+        items: items.length,
+        failedItems: failedItems.map(
+          ({ index, url, title, format, error }) => ({
+            index,
+            url,
+            title,
+            format,
+            error,
+          })
+        ),
+      },
+    };
+  } catch (err) {
+    archive.abort();
+    tmpDir.removeCallback();
+    throw signal && signal.aborted ? createAbortError() : err;
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
+// downloadMultiToZip options shared by the ZIP job types. ZIP jobs take a
+// pool slot per item rather than one for the whole job, so their items can
+// run in parallel without holding a slot while they wait for more.
+function zipJobOptions(job, ctx) {
+  return {
+    archive: job.params.archive,
+    audio: job.params.audio,
+    container: job.params.container,
+    subtitles: job.params.subtitles,
+    embed: job.params.embed,
+    splitChapters: job.params.splitChapters,
+    transcode: job.params.transcode,
+    skipFailed: job.params.skipFailed,
+    signal: ctx.signal,
+    liveOutput: ctx.liveOutput,
+    runSlot: (task, signal) =>
+      ytDlpPool.run("download", job.clientId, task, {
+        signal,
+        onPosition: ctx.setQueuePosition,
+      }),
+    emit: ctx.emit,
+    onState: ctx.setState,
+    onProgress: ctx.setProgress,
+    onRetry: (attempt) => ctx.emit("retry", attempt),
+  };
+}
+
+// Job engine: every download runs as a job, whether it was started through
+// /api/jobs or one of the blocking endpoints below.
+const jobs = createJobManager({
+  io,
+  ttlMs: Number(process.env.JOB_TTL_MS) || undefined,
+  store: createJsonFileJobStore(path.join(DATA_DIR, "jobs.json")),
+  outputDir: OUTPUT_DIR,
+  describeError,
+  // Each job holds one "download" slot of the pool while it runs; its queue
+  // position is reported to the job's room.
+  runners: {
+    single: (job, ctx) => {
+      const download = () =>
+        ytDlpPool.run(
+          "download",
+          job.clientId,
+          () =>
+            downloadWithProgress({
+              url: job.params.url,
+              quality: job.params.quality,
+              audio: job.params.audio,
+              container: job.params.container,
+              clip: job.params.clip,
+              subtitles: job.params.subtitles,
+              embed: job.params.embed,
+              splitChapters: job.params.splitChapters,
+              transcode: job.params.transcode,
+              emit: ctx.emit,
+              signal: ctx.signal,
+              onState: ctx.setState,
+              onProgress: ctx.setProgress,
+            }),
+          { signal: ctx.signal, onPosition: ctx.setQueuePosition }
+        );
+      return cachedDownload(
+        mediaCacheKey(job.params.url, job.params.quality, {
+          pipeline: "single",
+          ...outputKeyFields(job.params),
+        }),
+        download
+      );
+    },
+    // Animations hold one slot from the range download to the conversion
+    animation: (job, ctx) =>
+      ytDlpPool.run(
+        "download",
+        job.clientId,
+        async () => {
+          const source = animationSource(job.params);
+          try {
+            return await createAnimation({
+              url: job.params.url,
+              quality: job.params.quality,
+              sourcePath: source && source.filePath,
+              range: job.params.range,
+              animation: job.params.animation,
+              emit: ctx.emit,
+              signal: ctx.signal,
+              onState: ctx.setState,
+              onProgress: ctx.setProgress,
+            });
+          } finally {
+            if (source) source.cleanup();
+          }
+        },
+        { signal: ctx.signal, onPosition: ctx.setQueuePosition }
+      ),
+    multi: (job, ctx) =>
+      downloadMultiToZip({
+        videos: job.params.videos,
+        ...zipJobOptions(job, ctx),
+      }),
+    // Playlist jobs enumerate the playlist themselves, then run as a ZIP job
+    playlist: async (job, ctx) => {
+      ctx.setState("fetching-info");
+      const videos = await playlistVideos(job.params, {
+        clientId: job.clientId,
+        signal: ctx.signal,
+        onPosition: ctx.setQueuePosition,
+      });
+      return downloadMultiToZip({ videos, ...zipJobOptions(job, ctx) });
+    },
+  },
+});
+
+// Whether `job` is a finished single download of a whole video that an
+// animation can be cut from
+function isAnimationSourceJob(job) {
+  return Boolean(
+    job &&
+      job.type === "single" &&
+      job.state === "ready" &&
+      !job.params.clip &&
+      path.extname(job.result.filename).slice(1) in VIDEO_CONTAINERS
+  );
+}
+
+// Video an animation can be cut from without downloading it again, as
+// { filePath, cleanup }: the output of the `sourceJobId` download, or the
+// cached download of `url`. Null when there is neither.
+function animationSource({ url, quality, sourceJobId }) {
+  if (sourceJobId) {
+    const job = jobs.get(sourceJobId);
+    if (!isAnimationSourceJob(job)) {
+      throw new Error("The source download is no longer available");
+    }
+    return { filePath: job.result.filePath, cleanup: () => {} };
+  }
+  const key = mediaCacheKey(url, quality, { pipeline: "single" });
+  if (!mediaCache.has(key)) return null;
+  const workDir = createWorkDir();
+  const hit = mediaCache.checkout(key, workDir.name);
+  if (!hit) {
+    workDir.removeCallback();
+    return null;
+  }
+  return { filePath: hit.filePath, cleanup: workDir.removeCallback };
+}
+
+// Identical single downloads (same video, format and output options) share
+// one job
+function singleDedupeKey(url, quality, output = {}) {
+  const key = `single:${canonicalVideoKey(url) || url}:${quality || ""}`;
+  const fields = outputKeyFields(output);
+  return Object.keys(fields).length > 0
+    ? `${key}:${JSON.stringify(fields)}`
+    : key;
+}
+
+// Start a job and wait for it; rejects with the job's error unless it is ready.
+// The job is released if the client disconnects before the output is ready.
+async function runJobToCompletion(type, params, { room, res, dedupeKey }) {
+  // This request's subscription, so it can let go of a shared job
+  room = room || uuidv4();
+  const job = jobs.create(type, params, {
+    room,
+    clientId: res.req.ip,
+    resumable: false,
+    dedupeKey,
+  });
+  // req's own "close" fires once the body has been read (Node 16+), so the
+  // response is what tells us the connection went away. A finished output is
+  // kept so the client can fetch it again from /api/jobs/:id/file.
+  res.on("close", () => {
+    if (!res.writableFinished && job.state !== "ready") {
+      jobs.release(job.id, room);
+    }
+  });
+  await jobs.wait(job.id);
+  if (job.state !== "ready") {
+    throw job.error || new Error(`Download ${job.state}`);
+  }
+  return job;
+}
+
+// Stat a ready job's output; null once it expired or was discarded and the
+// file is gone
+function statOutput(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+const multiDownloadValidators = [
+  body("videos").isArray({ min: 1, max: MAX_ZIP_ITEMS }),
+  body("videos.*.url")
+    .custom(isValidVideoUrl)
+    .withMessage("Invalid or unsupported video URL in playlist."),
+  body("videos.*.quality").optional().isString().isLength({ max: 20 }),
+  body("videos.*.title").optional().isString().isLength({ max: 200 }),
+  body("videos.*.transcode").optional().custom(checkTranscode),
+  body("skipFailed").optional().isBoolean(),
+];
+
+// Playlist selection fields (POST /api/playlist-downloads and playlist jobs)
+const QUALITY_POLICY_MESSAGE = `Quality must be one of: ${Object.keys(
+  QUALITY_POLICIES
+).join(", ")}.`;
+const playlistSelectionValidators = [
+  body("items")
+    .optional()
+    .matches(/^\s*\d+(\s*-\s*\d*)?(\s*,\s*\d+(\s*-\s*\d*)?)*\s*$/)
+    .withMessage('Item ranges look like "1-50,60".'),
+  body("newest").optional().isInt({ min: 1, max: MAX_ZIP_ITEMS }).toInt(),
+  body("reverse").optional().isBoolean().toBoolean(),
+];
+
+// Archive output fields of the ZIP job types: archiveFormat (zip, tar,
+// tar.gz), compressionLevel (0-9), splitSizeMb for multi-volume output (e.g.
+// 4000 for FAT32 drives) and zip64 to always write ZIP64 records
+const archiveValidators = [
+  body("archiveFormat")
+    .optional()
+    .isIn(Object.keys(ARCHIVE_FORMATS))
+    .withMessage(
+      `Archive format must be one of: ${Object.keys(ARCHIVE_FORMATS).join(
+        ", "
+      )}.`
+    ),
+  body("compressionLevel").optional().isInt({ min: 0, max: 9 }).toInt(),
+  body("splitSizeMb")
+    .optional()
+    .isInt({ min: 1, max: 1024 * 1024 })
+    .toInt(),
+  body("zip64").optional().isBoolean().toBoolean(),
+];
+
+function archiveParams({
+  archiveFormat,
+  compressionLevel,
+  splitSizeMb,
+  zip64,
+}) {
+  return {
+    format: archiveFormat || "zip",
+    level: compressionLevel === undefined ? null : compressionLevel,
+    splitSize: splitSizeMb ? splitSizeMb * 1024 * 1024 : null,
+    zip64: Boolean(zip64),
+  };
+}
+
+// Animation fields: `start` and `end` (required, see animationRange),
+// animationFormat (gif, webp, mp4), width in px, fps, and sourceJobId to cut
+// from a finished download instead of `url`
+const animationValidators = [
+  body("sourceJobId")
+    .optional()
+    .isString()
+    .custom((id) => isAnimationSourceJob(jobs.get(id)))
+    .withMessage("Source must be a finished download of a whole video."),
+  body("animationFormat")
+    .optional()
+    .isIn(Object.keys(ANIMATION_FORMATS))
+    .withMessage(
+      `Animation format must be one of: ${Object.keys(ANIMATION_FORMATS).join(
+        ", "
+      )}.`
+    ),
+  body("width").optional().isInt({ min: 16, max: MAX_ANIMATION_WIDTH }).toInt(),
+  body("fps").optional().isInt({ min: 1, max: MAX_ANIMATION_FPS }).toInt(),
+];
+
+function checkAnimationRange(value) {
+  animationRange(value);
+  return true;
+}
+
+// Job params for each job type, from a validated request body
+function jobParams(type, body) {
+  const { url, quality, videos, skipFailed, items, newest, reverse } = body;
+  // The "audio" quality policy gets audio files (M4A unless a format is given)
+  const audioFormat =
+    body.audioFormat ||
+    (type === "playlist" && quality === "audio" ? "m4a" : null);
+  const audio = audioOptions(audioFormat, body.audioBitrate);
+  const container = body.container || "mp4";
+  const subtitles = subtitleOptions(body);
+  const embed = embedOption(body);
+  const splitChapters = Boolean(body.splitChapters);
+  const transcode = transcodeOptions(body.transcode, container);
+  if (type === "multi") {
+    return {
+      // An item's own transcode settings replace the job's
+      videos: videos.map((video) =>
+        video.transcode === undefined
+          ? video
+          : {
+              ...video,
+              transcode: transcodeOptions(video.transcode, container),
+            }
+      ),
+      audio,
+      container,
+      subtitles,
+      embed,
+      splitChapters,
+      transcode,
+      archive: archiveParams(body),
+      skipFailed: Boolean(skipFailed),
+    };
+  }
+  if (type === "animation") {
+    return {
+      url: body.sourceJobId ? null : url,
+      quality,
+      sourceJobId: body.sourceJobId || null,
+      range: animationRange(body),
+      animation: animationOptions(body),
+    };
+  }
+  if (type === "playlist") {
+    return {
+      url,
+      items,
+      newest,
+      reverse: Boolean(reverse),
+      quality,
+      audio,
+      container,
+      subtitles,
+      embed,
+      splitChapters,
+      transcode,
+      archive: archiveParams(body),
+      skipFailed: Boolean(skipFailed),
+    };
+  }
+  return {
+    url,
+    quality,
+    audio,
+    container,
+    clip: clipOptions(body),
+    subtitles,
+    embed,
+    splitChapters,
+    transcode,
+  };
+}
+
+// API: create a download job, returns immediately with the job id
 app.post(
-  "/api/multi-downloads",
+  "/api/jobs",
+  limiter,
   [
-    body("videos").isArray({ min: 1, max: 20 }),
+    body("type").optional().isIn(["single", "multi", "playlist", "animation"]),
+    body("url")
+      .if(body("type").not().equals("multi"))
+      .if(body("sourceJobId").not().exists())
+      .custom(isValidVideoUrl)
+      .withMessage("Invalid or unsupported video URL."),
+    body("quality").optional().isString().isLength({ max: 50 }),
+    body("quality")
+      .if(body("type").equals("playlist"))
+      .optional()
+      .isIn(Object.keys(QUALITY_POLICIES))
+      .withMessage(QUALITY_POLICY_MESSAGE),
+    body("downloadId").optional().isString().isLength({ max: 64 }),
+    body("videos")
+      .if(body("type").equals("multi"))
+      .isArray({ min: 1, max: MAX_ZIP_ITEMS }),
     body("videos.*.url")
+      .if(body("type").equals("multi"))
       .custom(isValidVideoUrl)
       .withMessage("Invalid or unsupported video URL in playlist."),
     body("videos.*.quality").optional().isString().isLength({ max: 20 }),
     body("videos.*.title").optional().isString().isLength({ max: 200 }),
+    body("videos.*.transcode").optional().custom(checkTranscode),
+    body("skipFailed").optional().isBoolean(),
+    ...playlistSelectionValidators,
+    ...outputValidators,
+    ...clipValidators,
+    ...subtitleValidators,
+    ...archiveValidators,
+    ...animationValidators,
+    body().if(body("type").equals("animation")).custom(checkAnimationRange),
   ],
-  async (req, res) => {
+  (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ error: errors.array()[0].msg });
     }
 
-    const { videos } = req.body; // expect: [{ url, quality, title }, ...]
+    const { type = "single", url, quality, downloadId } = req.body;
+    const params = jobParams(type, req.body);
+    const job = jobs.create(type, params, {
+      room: downloadId,
+      clientId: req.ip,
+      dedupeKey:
+        type === "single" ? singleDedupeKey(url, quality, params) : null,
+    });
+    res.status(202).json(jobs.toPublic(job));
+  }
+);
 
-    if (!Array.isArray(videos) || videos.length === 0) {
-      return res.status(400).json({ error: "No videos provided." });
+// API: turn a time range of a video (by URL, or a finished download's
+// sourceJobId) into a GIF, animated WebP or silent MP4 loop; responds with
+// the file once it is ready
+app.post(
+  "/api/animations",
+  limiter,
+  [
+    body("url")
+      .if(body("sourceJobId").not().exists())
+      .custom(isValidVideoUrl)
+      .withMessage("Invalid or unsupported video URL."),
+    body("quality").optional().isString().isLength({ max: 50 }),
+    body("downloadId").optional().isString().isLength({ max: 64 }),
+    ...animationValidators,
+    body().custom(checkAnimationRange),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
     }
 
-    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
-    const archiveFilename = `${uuidv4()}.zip`;
-    const archivePath = path.join(tmpDir.name, archiveFilename);
+    try {
+      const job = await runJobToCompletion(
+        "animation",
+        jobParams("animation", req.body),
+        { room: req.body.downloadId, res }
+      );
+      const { filePath, filename } = job.result;
+      res.sendFile(filePath, {
+        headers: {
+          "Content-Type": await contentTypeFor(filename),
+          "Content-Disposition": contentDisposition(filename),
+          "Content-Location": `/api/jobs/${job.id}/file`,
+          "X-Job-Id": job.id,
+        },
+      });
+    } catch (err) {
+      console.error("Animation error:", err);
+      if (!res.headersSent) {
+        const { code, message } = describeError(err);
+        res.status(500).json({ error: message, code });
+      }
+    }
+  }
+);
 
-    const output = fs.createWriteStream(archivePath);
-    const archive = archiver("zip", { zlib: { level: 9 } });
+// API: job status
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(jobs.toPublic(job));
+});
 
-    archive.pipe(output);
+// API: serve the finished job output. Supports Range/If-Range (206 Partial
+// Content) and conditional requests, so interrupted downloads can resume.
+// Split archives serve their parts with ?volume=1, 2, ...
+app.get("/api/jobs/:id/file", async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.state !== "ready") {
+    return res
+      .status(409)
+      .json({ error: `Job is ${job.state}`, state: job.state });
+  }
 
-    try {
-      let totalVideos = videos.length;
-      let completedVideos = 0;
-      for (const video of videos) {
-        const { url, quality, title } = video;
-        const cookiesFile = getCookiesFile(url);
+  let { filePath, filename } = job.result;
+  const { volumes, meta } = job.result;
+  const volume = Number(req.query.volume || 1);
+  if (volumes) {
+    if (!Number.isInteger(volume) || volume < 1 || volume > volumes.length) {
+      return res.status(404).json({ error: "Volume not found" });
+    }
+    filePath = path.join(path.dirname(filePath), volumes[volume - 1]);
+    filename = meta.volumes[volume - 1].filename;
+  }
+  const stat = statOutput(filePath);
+  if (!stat) return res.status(410).json({ error: "Output expired" });
+  const contentType = await contentTypeFor(filename);
+  res.sendFile(
+    filePath,
+    {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": contentDisposition(filename),
+        // Strong validator: the file never changes once the job is ready
+        ETag: `"${job.id}-${volume}-${stat.size}-${Math.floor(
+          stat.mtimeMs
+        ).toString(16)}"`,
+        "Cache-Control": "private, no-transform",
+      },
+    },
+    (err) => {
+      if (!err) return;
+      console.error("Failed to send job file:", err.message);
+      if (!res.headersSent) res.status(err.status || 500).end();
+    }
+  );
+});
 
-        // REMOVED cookies check to allow fetching without cookies for public videos
+// API: cancel a job (or discard a finished one). `?room=` is the downloadId
+// the job was created with; without one, the job id. A job shared with other
+// identical requests keeps running (or its output kept) until its last
+// subscriber lets go.
+app.delete("/api/jobs/:id", (req, res) => {
+  if (!jobs.get(req.params.id)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  const job = jobs.release(req.params.id, req.query.room || req.params.id);
+  if (!job) {
+    return res.status(403).json({ error: "Not subscribed to this job" });
+  }
+  res.json(jobs.toPublic(job));
+});
 
-        const baseArgs = cookiesFile
-          ? ["--cookies", cookiesFile, "--no-playlist", url]
-          : ["--no-playlist", url];
-        const info = await ytDlpWrap.getVideoInfo(baseArgs);
+// API: cancel every job started for a downloadId
+app.post(
+  "/api/cancel-download",
+  body("downloadId").isString().isLength({ min: 1, max: 64 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
 
-        let formatArg;
-        if (url.includes("facebook.com")) {
-          formatArg = "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
-        } else if (url.includes("instagram.com")) {
-          formatArg = "bestvideo[ext=mp4]+bestaudio[ext=m4a]/best";
-        } else if (quality) {
-          if (url.includes("youtube.com") || url.includes("youtu.be")) {
-            const selectedFormat = (info.formats || []).find(
-              (f) => f.format_id === quality
-            );
-            if (
-              selectedFormat &&
-              selectedFormat.vcodec &&
-              selectedFormat.acodec === "none"
-            ) {
-              formatArg =
-                "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
-            } else {
-              formatArg = quality;
-            }
-          } else {
-            formatArg = quality;
-          }
-        } else {
-          formatArg = "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best";
-        }
+    const cancelled = jobs.cancelRoom(req.body.downloadId);
+    res.json({ cancelled: cancelled.length });
+  }
+);
 
-        // Use provided title sanitized or fallback
-        const safeTitle = title
-          ? sanitizeFilename(title)
-          : info.title
-          ? sanitizeFilename(info.title)
-          : uuidv4();
-
-        const filename = `${safeTitle}.mp4`;
-        const filePath = path.join(tmpDir.name, filename);
-
-        await ytDlpWrap.execPromise(
-          [
-            ...baseArgs,
-            "-f",
-            formatArg,
-            "--merge-output-format",
-            "mp4",
-            "--recode-video",
-            "mp4",
-            "-o",
-            filename,
-          ],
-          { cwd: tmpDir.name }
-        );
+// Run a ZIP job for this request and stream the archive into the response
+// while it is being built. `sendError(job)` answers when the job fails before
+// any bytes went out. Failed items are reported in the archive's
+// manifest.json/errors.txt, the "done" event and the job's meta.
+// A split archive can't be one response: the reply is JSON listing the
+// volume URLs once they are all written.
+async function streamZipJob(type, params, { room, req, res, sendError }) {
+  const split = Boolean(params.archive.splitSize);
+  const filename = `videos${ARCHIVE_FORMATS[params.archive.format].ext}`;
+  const contentType = await contentTypeFor(filename);
+  const job = jobs.create(type, params, {
+    room,
+    clientId: req.ip,
+    resumable: false,
+    live: !split,
+  });
+  res.on("close", () => {
+    if (!res.writableFinished && job.state !== "ready") {
+      jobs.release(job.id, room || job.id);
+    }
+  });
 
-        if (!fs.existsSync(filePath)) {
-          tmpDir.removeCallback();
-          return res.status(500).json({ error: `File not found for ${url}` });
-        }
+  // Headers go out with the first archive bytes (once the first video is
+  // done), so a failure before that still gets a proper error response
+  if (job.liveOutput) {
+    job.liveOutput.once("data", (chunk) => {
+      res.writeHead(200, {
+        "Content-Type": contentType,
+        "Content-Disposition": contentDisposition(filename),
+        "Content-Location": `/api/jobs/${job.id}/file`,
+        "X-Job-Id": job.id,
+      });
+      res.write(chunk);
+      job.liveOutput.pipe(res);
+    });
+  }
 
-        archive.file(filePath, { name: filename });
-        completedVideos++;
-        // Emit progress after each video is added to the archive
-        io.emit("progress", {
-          percent: Math.round((completedVideos / totalVideos) * 100),
-          isZip: true,
-        });
-      }
+  await jobs.wait(job.id);
+  if (job.state === "ready") {
+    if (split && !res.writableEnded) {
+      res.json({
+        jobId: job.id,
+        volumes: job.result.meta.volumes.map((volume, i) => ({
+          ...volume,
+          url: `/api/jobs/${job.id}/file?volume=${i + 1}`,
+        })),
+      });
+    }
+    return;
+  }
+  console.error(`Failed ${type} ZIP job ${job.id}:`, job.error);
+  if (res.headersSent) {
+    // Cut the response short so the client doesn't keep a truncated ZIP
+    res.destroy(job.error || undefined);
+  } else if (!res.writableEnded) {
+    sendError(job);
+  }
+}
 
-      await archive.finalize();
+// API: multi-downloads (playlist ZIP)
+app.post(
+  "/api/multi-downloads",
+  limiter,
+  [
+    ...multiDownloadValidators,
+    ...outputValidators,
+    ...subtitleValidators,
+    ...archiveValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
 
-      output.on("close", () => {
-        // Emit 100% progress when zip is done
-        io.emit("progress", {
-          percent: 100,
-          isZip: true,
-        });
-        res.setHeader("Content-Disposition", contentDisposition("videos.zip"));
-        res.setHeader("Content-Type", "application/zip");
+    const { videos, downloadId } = req.body; // expect: [{ url, quality, title }, ...]
 
-        const stream = fs.createReadStream(archivePath);
-        stream.pipe(res);
+    if (!Array.isArray(videos) || videos.length === 0) {
+      return res.status(400).json({ error: "No videos provided." });
+    }
 
-        stream.on("close", () => tmpDir.removeCallback());
-        stream.on("error", (err) => {
-          console.error("Stream error:", err);
-          tmpDir.removeCallback();
-          res.status(500).send("Failed to stream archive");
-        });
-      });
-    } catch (err) {
-      console.error("Failed at /api/multi-downloads", err);
-      tmpDir.removeCallback();
-      res.status(500).send("Multi-download error occurred");
+    await streamZipJob("multi", jobParams("multi", req.body), {
+      room: downloadId,
+      req,
+      res,
+      sendError: () => res.status(500).send("Multi-download error occurred"),
+    });
+  }
+);
+
+// API: download a playlist by URL as a ZIP. The server lists the playlist and
+// picks the items: `items` ranges ("1-50,60"), the `newest` N, `reverse`
+// order, and a `quality` policy (see QUALITY_POLICIES) for every video.
+app.post(
+  "/api/playlist-downloads",
+  limiter,
+  [
+    body("url")
+      .custom(isValidVideoUrl)
+      .withMessage("Invalid or unsupported playlist URL."),
+    body("quality")
+      .optional()
+      .isIn(Object.keys(QUALITY_POLICIES))
+      .withMessage(QUALITY_POLICY_MESSAGE),
+    body("downloadId").optional().isString().isLength({ max: 64 }),
+    body("skipFailed").optional().isBoolean(),
+    ...playlistSelectionValidators,
+    ...outputValidators,
+    ...subtitleValidators,
+    ...archiveValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
     }
+
+    await streamZipJob("playlist", jobParams("playlist", req.body), {
+      room: req.body.downloadId,
+      req,
+      res,
+      sendError: (job) =>
+        res.status(500).json({
+          error: job.error ? job.error.message : `Download ${job.state}`,
+          code: job.error ? describeError(job.error).code : null,
+        }),
+    });
   }
 );
 
@@ -840,6 +2818,40 @@ app.get(/^\/(?!api\/).*/, (req, res) => {
   res.sendFile(path.join(__dirname, "../video-downloader/dist/index.html"));
 });
 
+// Admin endpoints are only enabled when ADMIN_TOKEN is set, and expect it as
+// a bearer token
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: "Not found" });
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.get("Authorization") || "");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+// Admin: inspect the media cache
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  res.json({ ...mediaCache.stats(), items: mediaCache.list() });
+});
+
+// Admin: purge one cache entry
+app.delete("/api/admin/cache/:id", requireAdmin, (req, res) => {
+  if (!mediaCache.purge(req.params.id)) {
+    return res.status(404).json({ error: "Cache entry not found" });
+  }
+  res.json({ purged: 1 });
+});
+
+// Admin: purge the whole media cache
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  res.json({ purged: mediaCache.purgeAll() });
+});
+
 // Add this to your backend for a quick test
 app.get("/api/yt-test", async (req, res) => {
   const url = "https://www.youtube.com/shorts/B1VBk-DRJik";
@@ -860,3 +2872,40 @@ app.get("/api/yt-test", async (req, res) => {
 server.listen(PORT, () => {
   console.log(`✅ Backend running at http://localhost:${PORT}`);
 });
+
+// Pick up jobs from before the last restart
+jobs
+  .restore()
+  .then((requeued) => {
+    if (requeued > 0) console.log(`Re-queued ${requeued} interrupted job(s)`);
+  })
+  .catch((err) => console.error("Failed to restore jobs:", err));
+
+// Process managers and Ctrl+C stop the server with a signal. Stop taking
+// requests, abort the running jobs (killing their yt-dlp/ffmpeg groups) and
+// write the job store before exiting; the jobs are re-queued on the next
+// start.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+  const code = 128 + os.constants.signals[signal];
+  // Don't wait forever on a job that ignores the abort
+  setTimeout(() => {
+    killAllProcessGroups();
+    process.exit(code);
+  }, 10 * 1000).unref();
+  io.close();
+  try {
+    await jobs.shutdown();
+  } catch (err) {
+    console.error("Failed to stop jobs:", err);
+  }
+  killAllProcessGroups();
+  process.exit(code);
+}
+
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => shutdown(signal));
+}
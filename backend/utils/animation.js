@@ -0,0 +1,91 @@
+const { clipRanges } = require("./clipRanges");
+
+// Formats a conversion job can make: a GIF (with its own palette), an
+// animated WebP, or a silent MP4 that players loop
+const ANIMATION_FORMATS = {
+  gif: { ext: ".gif" },
+  webp: { ext: ".webp" },
+  mp4: { ext: ".mp4" },
+};
+
+// Longest range one animation may cover, in seconds
+const MAX_ANIMATION_SECONDS = 60;
+const MAX_ANIMATION_WIDTH = 1920;
+const MAX_ANIMATION_FPS = 50;
+
+// The { start, end } (in seconds) of an animation from a request's `start`
+// and `end` (see parseTimestamp). Throws unless both are given and at most
+// MAX_ANIMATION_SECONDS apart.
+function animationRange({ start, end } = {}) {
+  if (start === undefined || end === undefined) {
+    throw new Error("An animation needs a start and an end");
+  }
+  const [range] = clipRanges({ start, end });
+  if (range.end - range.start > MAX_ANIMATION_SECONDS) {
+    throw new Error(
+      `An animation can be at most ${MAX_ANIMATION_SECONDS} seconds long`
+    );
+  }
+  return range;
+}
+
+// Normalize animationFormat, width (px) and fps from a request. Widths are
+// rounded down to even, which MP4 needs.
+function animationOptions({ animationFormat, width, fps } = {}) {
+  const evenWidth = Math.floor((Number(width) || 480) / 2) * 2;
+  return {
+    format: animationFormat || "gif",
+    width: evenWidth,
+    fps: Number(fps) || 15,
+  };
+}
+
+// ffmpeg arguments that turn `duration` seconds of `input` from `start` into
+// an animation at `output`, scaled to `width` (keeping the aspect ratio) at
+// `fps`. GIFs get a palette generated from the clip itself.
+function animationArgs(input, output, { start, duration, format, width, fps }) {
+  const scale = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+  const args = [
+    "-y",
+    "-ss",
+    String(start),
+    "-t",
+    String(duration),
+    "-i",
+    input,
+    "-an",
+  ];
+  if (format === "gif") {
+    args.push(
+      "-filter_complex",
+      `[0:v]${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      "-loop",
+      "0"
+    );
+  } else if (format === "webp") {
+    args.push("-vf", scale, "-c:v", "libwebp", "-q:v", "75", "-loop", "0");
+  } else {
+    args.push(
+      "-vf",
+      scale,
+      "-c:v",
+      "libx264",
+      "-pix_fmt",
+      "yuv420p",
+      "-movflags",
+      "+faststart"
+    );
+  }
+  args.push(output);
+  return args;
+}
+
+module.exports = {
+  ANIMATION_FORMATS,
+  MAX_ANIMATION_SECONDS,
+  MAX_ANIMATION_WIDTH,
+  MAX_ANIMATION_FPS,
+  animationRange,
+  animationOptions,
+  animationArgs,
+};
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const { Writable } = require("stream");
+const archiver = require("archiver");
+
+// Archive formats a ZIP job can produce
+const ARCHIVE_FORMATS = {
+  zip: { ext: ".zip" },
+  tar: { ext: ".tar" },
+  "tar.gz": { ext: ".tar.gz" },
+};
+
+// Create an archiver instance for { format, level, zip64 }:
+// - zip: `level` (0-9) compresses every entry, media included; without it
+//   media is stored as-is and only the small text entries are deflated.
+//   ZIP64 records are added automatically once the archive or an entry
+//   passes 4 GB (or 65535 entries); `zip64` forces them for every archive.
+// - tar: no compression, `level` is ignored
+// - tar.gz: gzip at `level`, fastest by default (video hardly compresses)
+function createArchive({ format = "zip", level = null, zip64 = false } = {}) {
+  if (format === "tar") return archiver("tar");
+  if (format === "tar.gz") {
+    return archiver("tar", {
+      gzip: true,
+      gzipOptions: { level: level === null ? 1 : level },
+    });
+  }
+  return archiver("zip", {
+    zlib: { level: level === null ? 9 : level },
+    forceZip64: zip64,
+  });
+}
+
+// archive.file() options for a media entry
+function mediaEntryOptions({ level = null } = {}, name) {
+  return { name, store: !(level > 0) };
+}
+
+// Write `files` ({ filePath, name }) into a ZIP at `outputPath`, stored as-is
+async function zipFiles(files, outputPath) {
+  const archive = createArchive({ format: "zip" });
+  const output = fs.createWriteStream(outputPath);
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+  for (const { filePath, name } of files) {
+    archive.file(filePath, mediaEntryOptions({}, name));
+  }
+  await archive.finalize();
+  await closed;
+}
+
+function volumeName(basePath, number) {
+  return `${basePath}.${String(number).padStart(3, "0")}`;
+}
+
+// Writable that splits what is written into `<basePath>.001`, `.002`, ...
+// of at most `volumeSize` bytes each. The volumes are plain byte splits:
+// join them (cat, copy /b) or open the first one with 7-Zip to extract.
+// `stream.volumes` lists the paths written so far.
+function createVolumeWriter(basePath, volumeSize) {
+  const volumes = [];
+  let handle = null;
+  let written = 0;
+
+  async function nextVolume() {
+    if (handle) await handle.close();
+    const filePath = volumeName(basePath, volumes.length + 1);
+    handle = await fs.promises.open(filePath, "w");
+    volumes.push(filePath);
+    written = 0;
+  }
+
+  async function writeChunk(chunk) {
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (!handle || written === volumeSize) await nextVolume();
+      const length = Math.min(chunk.length - offset, volumeSize - written);
+      const { bytesWritten } = await handle.write(chunk, offset, length);
+      offset += bytesWritten;
+      written += bytesWritten;
+    }
+  }
+
+  async function close() {
+    if (!handle) return;
+    const current = handle;
+    handle = null;
+    await current.close();
+  }
+
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      writeChunk(chunk).then(() => callback(), callback);
+    },
+    final(callback) {
+      close().then(() => callback(), callback);
+    },
+    destroy(err, callback) {
+      close().then(
+        () => callback(err),
+        () => callback(err)
+      );
+    },
+  });
+  stream.volumes = volumes;
+  return stream;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  createArchive,
+  mediaEntryOptions,
+  zipFiles,
+  createVolumeWriter,
+  volumeName,
+};
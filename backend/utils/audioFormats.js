@@ -0,0 +1,53 @@
+// Codecs audio mode can convert to
+const AUDIO_FORMATS = {
+  mp3: { ext: ".mp3", lossless: false },
+  m4a: { ext: ".m4a", lossless: false },
+  opus: { ext: ".opus", lossless: false },
+  flac: { ext: ".flac", lossless: true },
+};
+
+// Bitrates (kbit/s) a lossy conversion can ask for
+const AUDIO_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const DEFAULT_AUDIO_BITRATE = 192;
+
+// Normalize { format, bitrate } from a request; null when audio mode is off.
+// Lossless formats have no bitrate.
+function audioOptions(format, bitrate) {
+  if (!format) return null;
+  return {
+    format,
+    bitrate: AUDIO_FORMATS[format].lossless
+      ? null
+      : Number(bitrate) || DEFAULT_AUDIO_BITRATE,
+  };
+}
+
+// Format to fetch for audio mode: the picked format if it has an audio
+// stream, otherwise the best audio (or the best combined format when a site
+// has no separate audio)
+function audioFormatSelector(info, quality) {
+  const picked =
+    quality &&
+    ((info && info.formats) || []).find((f) => f.format_id === quality);
+  if (picked && picked.acodec && picked.acodec !== "none") return quality;
+  return "bestaudio/best";
+}
+
+// yt-dlp arguments that extract the audio and convert it
+function audioExtractArgs({ format, bitrate }) {
+  return [
+    "-x",
+    "--audio-format",
+    format,
+    "--audio-quality",
+    bitrate ? `${bitrate}K` : "0",
+  ];
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  audioOptions,
+  audioFormatSelector,
+  audioExtractArgs,
+};
@@ -0,0 +1,48 @@
+// Platform + video id for a supported URL, so different spellings of the same
+// video (youtu.be vs watch?v=, m./www. hosts, tracking params) share one key.
+// Returns null for URLs that cannot be parsed.
+function canonicalVideoKey(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.startsWith("//") ? `https:${url}` : url);
+  } catch (e) {
+    return null;
+  }
+
+  const host = parsed.hostname
+    .toLowerCase()
+    .replace(/^(www|m|mobile|music|vt)\./, "");
+  const parts = parsed.pathname.split("/").filter(Boolean);
+  const after = (...markers) => {
+    const idx = parts.findIndex((p) => markers.includes(p));
+    return idx !== -1 && parts[idx + 1] ? parts[idx + 1] : null;
+  };
+
+  let id = null;
+  let platform = host;
+  if (host === "youtu.be") {
+    platform = "youtube";
+    id = parts[0] || null;
+  } else if (host === "youtube.com") {
+    platform = "youtube";
+    id = parsed.searchParams.get("v") || after("shorts", "live", "embed", "v");
+  } else if (host === "tiktok.com") {
+    platform = "tiktok";
+    id = after("video");
+  } else if (host === "x.com" || host === "twitter.com") {
+    platform = "x";
+    id = after("status");
+  } else if (host === "instagram.com") {
+    platform = "instagram";
+    id = after("p", "reel", "reels", "tv");
+  } else if (host === "facebook.com") {
+    platform = "facebook";
+    id = parsed.searchParams.get("v") || after("videos", "reel", "reels");
+  }
+
+  if (id) return `${platform}:${id}`;
+  // Unknown shape: the URL without query string, hash or trailing slash
+  return `url:${host}${parsed.pathname.replace(/\/+$/, "")}`;
+}
+
+module.exports = { canonicalVideoKey };
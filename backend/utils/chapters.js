@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+// Subdir of a download's work dir that --split-chapters writes into
+const CHAPTERS_DIR = "chapters";
+
+// Chapters of a video from its yt-dlp info, as [{ index, title, start, end }]
+// with 1-based indexes and times in seconds; empty when it has none
+function chapterList(info) {
+  return ((info && info.chapters) || []).map((chapter, i) => ({
+    index: i + 1,
+    title: chapter.title || `Chapter ${i + 1}`,
+    start: chapter.start_time,
+    end: chapter.end_time,
+  }));
+}
+
+// yt-dlp arguments that also write every chapter as its own file, named
+// "<index> - <title>.<ext>", into `dir`. The full video is still written.
+function splitChapterArgs(dir = CHAPTERS_DIR) {
+  return [
+    "--split-chapters",
+    "-o",
+    `chapter:${dir}/%(section_number)03d - %(section_title)s.%(ext)s`,
+  ];
+}
+
+// Chapter files written into `dir` (see splitChapterArgs), in chapter order;
+// empty when the video had no chapters
+function readChapterFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return names
+    .filter((name) => /^\d+ - /.test(name))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+module.exports = {
+  CHAPTERS_DIR,
+  chapterList,
+  splitChapterArgs,
+  readChapterFiles,
+};
@@ -0,0 +1,64 @@
+// Most ranges one download may ask for
+const MAX_CLIP_RANGES = 20;
+
+// Seconds from a number or a "[[HH:]MM:]SS[.ms]" string. Throws on
+// anything else.
+function parseTimestamp(value) {
+  if (typeof value === "number") {
+    if (Number.isFinite(value) && value >= 0) return value;
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  const parts = String(value).trim().split(":");
+  const valid =
+    parts.length <= 3 &&
+    parts.every((part, i) =>
+      (i === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part)
+    );
+  const numbers = parts.map(Number);
+  // Minutes and seconds after the first field stay below 60
+  if (!valid || numbers.slice(1).some((n) => n >= 60)) {
+    throw new Error(`Invalid timestamp: "${value}"`);
+  }
+  return numbers.reduce((total, n) => total * 60 + n, 0);
+}
+
+// Normalize { start, end } and/or { ranges: [{ start, end }] } from a request
+// into a sorted list of ranges in seconds, or null when none are given. A
+// range without an end runs to the end of the video.
+function clipRanges({ start, end, ranges } = {}) {
+  const given = [...(ranges || [])];
+  if (start !== undefined || end !== undefined) given.unshift({ start, end });
+  if (given.length === 0) return null;
+  if (given.length > MAX_CLIP_RANGES) {
+    throw new Error(`At most ${MAX_CLIP_RANGES} ranges can be downloaded`);
+  }
+  return given
+    .map((range) => {
+      const from = range.start === undefined ? 0 : parseTimestamp(range.start);
+      const to = range.end === undefined ? null : parseTimestamp(range.end);
+      if (to !== null && to <= from) {
+        throw new Error(`Clip end must be after its start (${from}-${to})`);
+      }
+      return { start: from, end: to };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+// yt-dlp arguments that download only `ranges`. Fast cuts copy the streams,
+// so they start at the keyframe before each cut; accurate cuts re-encode
+// around the cut points to land on the exact frame.
+function downloadSectionArgs(ranges, { accurate = false } = {}) {
+  const args = [];
+  for (const { start, end } of ranges) {
+    args.push("--download-sections", `*${start}-${end === null ? "inf" : end}`);
+  }
+  if (accurate) args.push("--force-keyframes-at-cuts");
+  return args;
+}
+
+module.exports = {
+  MAX_CLIP_RANGES,
+  parseTimestamp,
+  clipRanges,
+  downloadSectionArgs,
+};
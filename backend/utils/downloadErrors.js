@@ -0,0 +1,74 @@
+const { classifyError } = require("./retryPolicy");
+
+// Known failure causes, most specific first. `code` is what clients switch on;
+// `message` is safe to show to users.
+const ERROR_TYPES = [
+  {
+    code: "BOT_CHECK",
+    pattern: /confirm you.?re not a bot|Sign in to confirm/i,
+    message: "The platform asked for a bot check. Try again later.",
+  },
+  {
+    code: "RATE_LIMITED",
+    pattern: /HTTP Error 429|Too Many Requests/i,
+    message: "The platform is rate limiting downloads. Try again later.",
+  },
+  {
+    code: "LOGIN_REQUIRED",
+    pattern: /Private video|login required|log in|sign in/i,
+    message: "This video is private or needs a logged-in account.",
+  },
+  {
+    code: "GEO_BLOCKED",
+    pattern: /not available in your country|geo.?restrict/i,
+    message: "This video is not available in the server's region.",
+  },
+  {
+    code: "UNAVAILABLE",
+    pattern:
+      /Video unavailable|has been removed|not available|HTTP Error 404|Unsupported URL/i,
+    message: "This video is unavailable.",
+  },
+  {
+    code: "INTERRUPTED",
+    pattern: /Interrupted by a server restart/,
+    message: "The download was interrupted by a server restart.",
+  },
+];
+
+const FALLBACK_MESSAGES = {
+  cancelled: ["CANCELLED", "The download was cancelled."],
+  format: ["FORMAT_UNAVAILABLE", "The selected format is not available."],
+  transient: ["NETWORK", "The download failed because of a network error."],
+  fatal: ["DOWNLOAD_FAILED", "The download failed."],
+};
+
+// First "ERROR:" line yt-dlp printed, or the first line of the message
+function errorDetail(err) {
+  const text = `${(err && err.stderr) || ""}\n${(err && err.message) || ""}`;
+  const errorLine = text.split("\n").find((line) => line.startsWith("ERROR:"));
+  const detail = errorLine || text.trim().split("\n")[0] || "";
+  return detail.slice(0, 300);
+}
+
+// Typed description of a download error: { code, message, detail, retryable }.
+// The cause is read from the detail only: the rest of the message holds the
+// yt-dlp command line, whose options would match too.
+function describeError(err) {
+  const kind = classifyError(err);
+  const detail = errorDetail(err);
+  const type =
+    (kind === "fatal" || kind === "transient") &&
+    ERROR_TYPES.find((t) => t.pattern.test(detail));
+  const [code, message] = type
+    ? [type.code, type.message]
+    : FALLBACK_MESSAGES[kind];
+  return {
+    code,
+    message,
+    detail,
+    retryable: kind === "transient" || code === "INTERRUPTED",
+  };
+}
+
+module.exports = { describeError };
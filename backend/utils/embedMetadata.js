@@ -0,0 +1,43 @@
+// Containers that can't hold cover art
+const NO_COVER_EXTS = ["webm"];
+
+// Whether downloads embed metadata when a request doesn't say, from an
+// EMBED_METADATA setting like "1", "true" or "off". Off when unset.
+function embedDefaultFromEnv(value) {
+  if (!value) return false;
+  const normalized = String(value).trim().toLowerCase();
+  if (["1", "true", "yes", "on"].includes(normalized)) return true;
+  if (["0", "false", "no", "off"].includes(normalized)) return false;
+  console.warn("Ignoring invalid EMBED_METADATA, not embedding by default");
+  return false;
+}
+
+// yt-dlp arguments that tag a download of type `ext` (mp4, mkv, webm or an
+// audio format) with its title, uploader, upload date, description and
+// source URL, and add chapter markers and the cover thumbnail. The cover is
+// also kept as a JPEG next to the file so a recode can put it back.
+function embedArgs(ext) {
+  const args = ["--embed-metadata", "--embed-chapters"];
+  if (!NO_COVER_EXTS.includes(ext)) {
+    args.push(
+      "--embed-thumbnail",
+      "--write-thumbnail",
+      "--convert-thumbnails",
+      "jpg"
+    );
+  }
+  return args;
+}
+
+// Cover yt-dlp kept for `filePath` (see embedArgs), if any: it shares the
+// file's name
+function coverFor(filePath) {
+  return filePath.replace(/\.[^.]+$/, ".jpg");
+}
+
+module.exports = {
+  NO_COVER_EXTS,
+  embedDefaultFromEnv,
+  embedArgs,
+  coverFor,
+};
@@ -0,0 +1,89 @@
+const { spawn } = require("child_process");
+const { createFfmpegProgressParser } = require("./progress");
+const {
+  spawnOptions,
+  bindAbortSignal,
+  createAbortError,
+} = require("./processTree");
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+// Run ffmpeg with machine-readable progress on stdout. onProgress receives
+// { percent, outTimeSec, speed, eta }; percent needs the input duration.
+function runFfmpeg(args, { signal, durationSec, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+    const child = spawn(
+      FFMPEG_PATH,
+      ["-hide_banner", "-nostats", "-progress", "pipe:1", ...args],
+      spawnOptions()
+    );
+    bindAbortSignal(signal, child);
+
+    const feed = createFfmpegProgressParser(durationSec);
+    let stderr = "";
+    child.stdout.on("data", (data) => {
+      const progress = feed(data.toString());
+      if (progress) onProgress(progress);
+    });
+    child.stderr.on("data", (data) => {
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (signal && signal.aborted) return reject(createAbortError());
+      if (code === 0) return resolve();
+      const err = new Error(`ffmpeg exited with code ${code}`);
+      err.stderr = stderr;
+      reject(err);
+    });
+  });
+}
+
+// Streams of a media file as ffprobe lists them: [{ index, codec_type,
+// codec_name, disposition }]
+function probeStreams(filePath, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+    const child = spawn(
+      FFPROBE_PATH,
+      [
+        "-v",
+        "error",
+        "-show_entries",
+        "stream=index,codec_type,codec_name:stream_disposition=attached_pic",
+        "-of",
+        "json",
+        filePath,
+      ],
+      spawnOptions()
+    );
+    bindAbortSignal(signal, child);
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on("data", (data) => {
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (signal && signal.aborted) return reject(createAbortError());
+      if (code !== 0) {
+        const err = new Error(`ffprobe exited with code ${code}`);
+        err.stderr = stderr;
+        return reject(err);
+      }
+      try {
+        resolve(JSON.parse(stdout).streams || []);
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+module.exports = { FFMPEG_PATH, FFPROBE_PATH, runFfmpeg, probeStreams };
@@ -0,0 +1,155 @@
+// Codec families by the start of a yt-dlp codec string ("avc1.640028",
+// "mp4a.40.2", ...); other codecs keep the part before the first dot
+const VIDEO_CODEC_FAMILIES = {
+  avc1: "h264",
+  avc3: "h264",
+  h264: "h264",
+  hev1: "hevc",
+  hvc1: "hevc",
+  hevc: "hevc",
+  h265: "hevc",
+  vp09: "vp9",
+  vp9: "vp9",
+  vp8: "vp8",
+  av01: "av1",
+  av1: "av1",
+};
+const AUDIO_CODEC_FAMILIES = {
+  mp4a: "aac",
+  aac: "aac",
+  opus: "opus",
+  vorbis: "vorbis",
+  mp3: "mp3",
+  "ac-3": "ac3",
+  ac3: "ac3",
+  "ec-3": "eac3",
+  eac3: "eac3",
+  flac: "flac",
+};
+
+// Streaming protocols yt-dlp has to assemble from fragments
+const FRAGMENTED_PROTOCOLS = /m3u8|dash|f4m|ism/;
+
+function codecFamily(codec, families) {
+  if (!codec || codec === "none") return null;
+  const name = codec.toLowerCase().split(".")[0];
+  return families[name] || name;
+}
+
+// Whether a format has a video or audio stream. yt-dlp leaves the codec
+// unset when it doesn't know it, so a missing codec falls back to the
+// video_ext/audio_ext it fills in ("none" without that stream) and, for
+// video, the frame size.
+function streamsOf(format) {
+  const hasVideo = format.vcodec
+    ? format.vcodec !== "none"
+    : format.video_ext !== "none" && Boolean(format.height || format.width);
+  const hasAudio = format.acodec
+    ? format.acodec !== "none"
+    : format.audio_ext !== "none";
+  return { hasVideo, hasAudio };
+}
+
+// One yt-dlp format as the catalog describes it (see formatCatalog), or
+// null for formats with neither video nor audio (storyboards and the like).
+// `duration` (seconds) estimates the size of formats that only give a
+// bitrate.
+function normalizeFormat(format, duration) {
+  const { hasVideo, hasAudio } = streamsOf(format);
+  if (!hasVideo && !hasAudio) return null;
+  let size = format.filesize || null;
+  let sizeEstimated = false;
+  if (!size && format.filesize_approx) {
+    size = format.filesize_approx;
+    sizeEstimated = true;
+  } else if (!size && format.tbr && duration) {
+    size = Math.round((format.tbr * 1000 * duration) / 8);
+    sizeEstimated = true;
+  }
+  return {
+    id: format.format_id,
+    ext: format.ext || null,
+    hasVideo,
+    hasAudio,
+    width: hasVideo ? format.width || null : null,
+    height: hasVideo ? format.height || null : null,
+    resolution: hasVideo && format.height ? `${format.height}p` : null,
+    fps: hasVideo ? format.fps || null : null,
+    hdr: Boolean(
+      hasVideo && format.dynamic_range && format.dynamic_range !== "SDR"
+    ),
+    videoCodec: hasVideo
+      ? codecFamily(format.vcodec, VIDEO_CODEC_FAMILIES)
+      : null,
+    audioCodec: hasAudio
+      ? codecFamily(format.acodec, AUDIO_CODEC_FAMILIES)
+      : null,
+    bitrate: format.tbr ? Math.round(format.tbr) : null,
+    size,
+    sizeEstimated,
+    language: format.language || null,
+    note: format.format_note || null,
+  };
+}
+
+// Entries that only differ in bitrate or delivery are the same choice
+function dedupeKey(entry) {
+  return [
+    entry.hasVideo,
+    entry.hasAudio,
+    entry.height,
+    entry.fps && Math.round(entry.fps),
+    entry.hdr,
+    entry.videoCodec,
+    entry.audioCodec,
+    entry.ext,
+    entry.language,
+  ].join("|");
+}
+
+// Best first: bigger frames, then more frames per second, then bitrate
+function compareEntries(a, b) {
+  return (
+    (b.height || 0) - (a.height || 0) ||
+    (b.fps || 0) - (a.fps || 0) ||
+    (b.bitrate || 0) - (a.bitrate || 0)
+  );
+}
+
+// The formats of a video from its yt-dlp info, normalized and grouped:
+// { videoAudio, videoOnly, audioOnly }, each best first. Every entry is
+// { id, ext, hasVideo, hasAudio, width, height, resolution, fps, hdr,
+// videoCodec, audioCodec, bitrate (kbit/s), size (bytes), sizeEstimated,
+// language, note }; `id` is what a download takes as its quality. Of
+// near-identical entries only one is kept, preferring a direct download over
+// a fragmented stream and then the higher bitrate. `excludeVideoCodecs`
+// leaves out video in those codec families.
+function formatCatalog(info, { excludeVideoCodecs = [] } = {}) {
+  const kept = new Map();
+  for (const format of (info && info.formats) || []) {
+    if (!format.url) continue;
+    const entry = normalizeFormat(format, info.duration);
+    if (!entry || excludeVideoCodecs.includes(entry.videoCodec)) continue;
+    const direct = !FRAGMENTED_PROTOCOLS.test(format.protocol || "");
+    const key = dedupeKey(entry);
+    const current = kept.get(key);
+    if (
+      !current ||
+      (direct && !current.direct) ||
+      (direct === current.direct &&
+        (entry.bitrate || 0) > (current.entry.bitrate || 0))
+    ) {
+      kept.set(key, { entry, direct });
+    }
+  }
+  const entries = [...kept.values()]
+    .map(({ entry }) => entry)
+    .sort(compareEntries);
+  return {
+    videoAudio: entries.filter((e) => e.hasVideo && e.hasAudio),
+    videoOnly: entries.filter((e) => e.hasVideo && !e.hasAudio),
+    audioOnly: entries.filter((e) => !e.hasVideo && e.hasAudio),
+  };
+}
+
+module.exports = { normalizeFormat, formatCatalog };
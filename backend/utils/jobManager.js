@@ -0,0 +1,427 @@
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { v4: uuidv4 } = require("uuid");
+const { createMemoryJobStore } = require("./jobStore");
+
+// Lifecycle of a download job. "cancelled" is only reached through cancel().
+const JOB_STATES = [
+  "queued",
+  "fetching-info",
+  "downloading",
+  "post-processing",
+  "ready",
+  "failed",
+  "cancelled",
+];
+const TERMINAL_STATES = ["ready", "failed", "cancelled"];
+
+function moveFile(src, dest) {
+  try {
+    fs.renameSync(src, dest);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    fs.copyFileSync(src, dest);
+  }
+}
+
+// Move a finished output (and its other volumes, if split) out of its temp
+// dir into outputDir/<jobId>/ so it outlives the process. Returns the new
+// result object.
+function keepOutput(outputDir, jobId, result) {
+  const dir = path.join(outputDir, jobId);
+  const srcDir = path.dirname(result.filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  const names = result.volumes || [path.basename(result.filePath)];
+  for (const name of names) {
+    moveFile(path.join(srcDir, name), path.join(dir, name));
+  }
+  const dest = path.join(dir, path.basename(result.filePath));
+  if (result.cleanup) result.cleanup();
+  return { ...result, filePath: dest, cleanup: outputCleanup(dir) };
+}
+
+function outputCleanup(dir) {
+  return () => fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Job engine shared by /api/jobs, /api/downloads and /api/multi-downloads.
+// `runners` maps a job type to an async function (job, ctx) that resolves with
+// { filePath, filename, cleanup, meta } once the output file is ready. `meta`
+// is optional JSON about the output, exposed with the job and its "done" event.
+// A split output also lists `volumes`, the file names of all its parts (next
+// to filePath, which is the first one).
+// With a persistent `store` and an `outputDir`, restore() brings jobs back
+// after a restart: unfinished ones are queued again, finished outputs are
+// served until they expire.
+// Jobs created with the same `dedupeKey` while one is still in flight share
+// it: every subscriber's room gets the events and the same output file. A
+// subscriber is known by its room (the job id for one created without a
+// room) and lets go with release().
+// Jobs created with `live: true` also get ctx.liveOutput, a stream the runner
+// can write the output into while it is still being produced (job.liveOutput
+// for the reader); it is destroyed if the job does not end ready.
+// Besides "state", finished jobs emit "done" ({ jobId, filename, meta }) or
+// "error" ({ jobId, error }), with the error typed by `describeError`.
+function createJobManager({
+  runners,
+  io,
+  ttlMs = 60 * 60 * 1000,
+  store = createMemoryJobStore(),
+  outputDir = null,
+  describeError = (err) => ({ code: "FAILED", message: err.message }),
+}) {
+  const jobs = new Map();
+  let stopping = false;
+
+  function emit(job, event, payload) {
+    if (io && job.rooms.size > 0) io.to([...job.rooms]).emit(event, payload);
+  }
+
+  // Failures are described by `describeError`; the raw error (with paths
+  // and the command line) only goes to the server log
+  function toPublic(job) {
+    const error = job.error ? describeError(job.error) : null;
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      progress: job.progress,
+      queuePosition: job.queuePosition,
+      filename: job.result ? job.result.filename : null,
+      meta: (job.result && job.result.meta) || null,
+      error: error ? error.message : null,
+      errorDetail: error ? error.detail || null : null,
+      errorCode: error ? error.code : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  function toRecord(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      params: job.params,
+      clientId: job.clientId,
+      rooms: [...job.rooms],
+      dedupeKey: job.dedupeKey,
+      resumable: job.resumable,
+      state: job.state,
+      progress: job.progress,
+      error: job.error
+        ? { name: job.error.name, message: job.error.message }
+        : null,
+      output: job.result
+        ? {
+            filePath: job.result.filePath,
+            filename: job.result.filename,
+            volumes: job.result.volumes,
+            meta: job.result.meta,
+          }
+        : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  function persist(job) {
+    if (jobs.has(job.id)) store.save(toRecord(job));
+  }
+
+  function setState(job, state) {
+    if (!JOB_STATES.includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+    if (TERMINAL_STATES.includes(job.state)) return;
+    job.state = state;
+    job.updatedAt = Date.now();
+    emit(job, "state", { jobId: job.id, state });
+    persist(job);
+  }
+
+  function setProgress(job, progress) {
+    if (TERMINAL_STATES.includes(job.state)) return;
+    job.progress = progress;
+    job.updatedAt = Date.now();
+    persist(job);
+  }
+
+  function finish(job) {
+    if (job.liveOutput && job.state !== "ready") job.liveOutput.destroy();
+    // A job interrupted by shutdown() isn't finished; restore() requeues it
+    if (TERMINAL_STATES.includes(job.state)) job.finishedAt = Date.now();
+    persist(job);
+    job.resolveDone(job);
+  }
+
+  async function run(job) {
+    if (job.state === "cancelled") return finish(job);
+    const runner = runners[job.type];
+    const ctx = {
+      signal: job.controller.signal,
+      liveOutput: job.liveOutput,
+      emit: (event, payload) => emit(job, event, payload),
+      setState: (state) => setState(job, state),
+      setProgress: (progress) => setProgress(job, progress),
+      setQueuePosition: (position) => {
+        job.queuePosition = position;
+        emit(job, "queue", { jobId: job.id, position });
+      },
+    };
+    try {
+      let result = await runner(job, ctx);
+      if (job.state === "cancelled") {
+        // The runner finished after cancel(); nobody will fetch the output.
+        if (result && result.cleanup) result.cleanup();
+        return;
+      }
+      if (outputDir) result = keepOutput(outputDir, job.id, result);
+      job.result = result;
+      setState(job, "ready");
+      emit(job, "done", {
+        jobId: job.id,
+        filename: result.filename,
+        meta: result.meta || null,
+      });
+    } catch (err) {
+      if (job.state === "cancelled" || stopping) return;
+      console.error(`Job ${job.id} failed:`, err);
+      job.error = err;
+      setState(job, "failed");
+      emit(job, "error", { jobId: job.id, error: describeError(err) });
+    } finally {
+      finish(job);
+    }
+  }
+
+  function register(fields) {
+    const job = {
+      params: {},
+      clientId: null,
+      state: "queued",
+      progress: null,
+      queuePosition: null,
+      result: null,
+      error: null,
+      finishedAt: null,
+      resumable: true,
+      dedupeKey: null,
+      liveOutput: null,
+      ...fields,
+      controller: new AbortController(),
+    };
+    job.rooms = new Set(job.rooms || [job.id]);
+    job.done = new Promise((resolve) => {
+      job.resolveDone = resolve;
+    });
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  // Unfinished job with the given dedupe key, if any
+  function findInFlight(dedupeKey) {
+    for (const job of jobs.values()) {
+      if (job.dedupeKey === dedupeKey && !TERMINAL_STATES.includes(job.state)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  // `resumable: false` is for jobs whose only consumer is the HTTP request
+  // that started them: after a restart they are failed instead of re-queued.
+  function create(
+    type,
+    params,
+    { room, clientId, resumable = true, dedupeKey = null, live = false } = {}
+  ) {
+    if (!runners[type]) throw new Error(`Unknown job type: ${type}`);
+
+    const existing = dedupeKey && findInFlight(dedupeKey);
+    if (existing) {
+      existing.resumable = existing.resumable || resumable;
+      if (room && !existing.rooms.has(room)) {
+        existing.rooms.add(room);
+        if (io)
+          io.to(room).emit("state", {
+            jobId: existing.id,
+            state: existing.state,
+          });
+      }
+      persist(existing);
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = register({
+      id: uuidv4(),
+      type,
+      params,
+      clientId: clientId || null,
+      rooms: room ? [room] : null,
+      resumable,
+      dedupeKey,
+      liveOutput: live ? new PassThrough() : null,
+      createdAt: now,
+      updatedAt: now,
+    });
+    persist(job);
+    setImmediate(() => run(job));
+    return job;
+  }
+
+  // Load stored jobs. Returns how many interrupted jobs were queued again.
+  async function restore() {
+    const records = await store.load();
+    const cutoff = Date.now() - ttlMs;
+    let requeued = 0;
+
+    for (const record of records) {
+      if (jobs.has(record.id) || !runners[record.type]) continue;
+      const { output, error, ...fields } = record;
+
+      if (record.finishedAt && record.finishedAt < cutoff) {
+        if (outputDir) outputCleanup(path.join(outputDir, record.id))();
+        store.remove(record.id);
+        continue;
+      }
+
+      if (record.state === "ready") {
+        if (!output || !fs.existsSync(output.filePath)) {
+          store.remove(record.id);
+          continue;
+        }
+        const job = register(fields);
+        job.result = {
+          ...output,
+          cleanup: outputCleanup(path.dirname(output.filePath)),
+        };
+        job.resolveDone(job);
+      } else if (TERMINAL_STATES.includes(record.state)) {
+        const job = register(fields);
+        if (error) {
+          job.error = Object.assign(new Error(error.message), {
+            name: error.name,
+          });
+        }
+        job.resolveDone(job);
+      } else if (record.resumable === false) {
+        const job = register({ ...fields, state: "failed" });
+        job.error = new Error("Interrupted by a server restart");
+        finish(job);
+      } else {
+        // Interrupted mid-way: start over from the beginning
+        const job = register({
+          ...fields,
+          state: "queued",
+          progress: null,
+          updatedAt: Date.now(),
+        });
+        persist(job);
+        setImmediate(() => run(job));
+        requeued++;
+      }
+    }
+    return requeued;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Resolves with the job once it reaches a terminal state.
+  function wait(id) {
+    const job = jobs.get(id);
+    return job ? job.done : Promise.resolve(null);
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (TERMINAL_STATES.includes(job.state)) {
+      if (job.state === "ready") remove(id);
+      return job;
+    }
+    setState(job, "cancelled");
+    job.controller.abort();
+    return job;
+  }
+
+  // Drop the subscriber with this room. The job is only cancelled (or its
+  // output discarded, once ready) when no room is left. Returns null if the
+  // room isn't subscribed to the job.
+  function release(id, room) {
+    const job = jobs.get(id);
+    if (!job || !job.rooms.has(room)) return null;
+    job.rooms.delete(room);
+    persist(job);
+    if (job.rooms.size === 0) return cancel(id);
+    return job;
+  }
+
+  // Detach a socket.io room (downloadId) from every unfinished job, cancelling
+  // the ones nobody else is waiting for
+  function cancelRoom(room) {
+    const cancelled = [];
+    for (const job of jobs.values()) {
+      if (job.rooms.has(room) && !TERMINAL_STATES.includes(job.state)) {
+        release(job.id, room);
+        cancelled.push(job);
+      }
+    }
+    return cancelled;
+  }
+
+  function remove(id) {
+    const job = jobs.get(id);
+    if (!job) return;
+    jobs.delete(id);
+    store.remove(id);
+    if (job.result && job.result.cleanup) {
+      try {
+        job.result.cleanup();
+      } catch (err) {
+        console.error(`Failed to clean up job ${id}:`, err);
+      }
+    }
+  }
+
+  // Stop every unfinished job (killing its processes) and write the store.
+  // The jobs keep their state, so restore() queues them again on the next
+  // start.
+  async function shutdown() {
+    stopping = true;
+    const running = [...jobs.values()].filter(
+      (job) => !TERMINAL_STATES.includes(job.state)
+    );
+    for (const job of running) job.controller.abort();
+    await Promise.all(running.map((job) => job.done));
+    await store.flush();
+  }
+
+  // Drop finished jobs (and their files) that nobody collected in time
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    for (const job of jobs.values()) {
+      if (job.finishedAt && job.finishedAt < cutoff) remove(job.id);
+    }
+  }, Math.min(ttlMs, 60 * 1000));
+  sweeper.unref();
+
+  return {
+    create,
+    restore,
+    get,
+    wait,
+    cancel,
+    release,
+    cancelRoom,
+    remove,
+    toPublic,
+    shutdown,
+  };
+}
+
+module.exports = { createJobManager, JOB_STATES, TERMINAL_STATES };
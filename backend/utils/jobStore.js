@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+
+// Job stores persist plain job records (see toRecord in jobManager.js).
+// A store implements:
+//   load()          -> Promise<record[]>
+//   save(record)    -> void   (may be buffered)
+//   remove(id)      -> void
+//   flush()         -> Promise<void>
+// Any other backend (SQLite, Redis, ...) can be plugged into createJobManager
+// as long as it follows the same shape.
+
+// Keeps nothing across restarts; used when no store is configured
+function createMemoryJobStore() {
+  const records = new Map();
+  return {
+    load: async () => [...records.values()],
+    save: (record) => {
+      records.set(record.id, record);
+    },
+    remove: (id) => {
+      records.delete(id);
+    },
+    flush: async () => {},
+  };
+}
+
+// Stores every record in a single JSON file. Writes are debounced and go
+// through a temp file + rename so a crash never leaves a half-written file.
+function createJsonFileJobStore(file, { debounceMs = 500 } = {}) {
+  const records = new Map();
+  let timer = null;
+  // Nothing to write before the first change (the records may not be loaded)
+  let changed = false;
+  let writing = Promise.resolve();
+
+  function serialize() {
+    return JSON.stringify([...records.values()], null, 2);
+  }
+
+  function write() {
+    timer = null;
+    const data = serialize();
+    const tmpFile = `${file}.tmp`;
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmpFile, data);
+        await fs.promises.rename(tmpFile, file);
+      })
+      .catch((err) => console.error("Failed to write job store:", err));
+    return writing;
+  }
+
+  function schedule() {
+    if (!timer) {
+      timer = setTimeout(write, debounceMs);
+      timer.unref();
+    }
+  }
+
+  // Last-chance synchronous write so progress isn't lost on shutdown, even
+  // while an async write is still in flight
+  process.on("exit", () => {
+    if (!changed) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, serialize());
+    } catch (err) {
+      console.error("Failed to write job store on exit:", err);
+    }
+  });
+
+  return {
+    async load() {
+      try {
+        const list = JSON.parse(await fs.promises.readFile(file, "utf8"));
+        for (const record of list) records.set(record.id, record);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.error(`Ignoring unreadable job store ${file}:`, err.message);
+        }
+      }
+      return [...records.values()];
+    },
+    save(record) {
+      records.set(record.id, record);
+      changed = true;
+      schedule();
+    },
+    remove(id) {
+      if (records.delete(id)) {
+        changed = true;
+        schedule();
+      }
+    },
+    flush() {
+      if (timer) {
+        clearTimeout(timer);
+        return write();
+      }
+      return writing;
+    },
+  };
+}
+
+module.exports = { createMemoryJobStore, createJsonFileJobStore };
@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Hard-link `src` to `dest`, copying when they live on different devices
+function linkOrCopy(src, dest) {
+  try {
+    fs.linkSync(src, dest);
+  } catch (err) {
+    if (err.code !== "EXDEV" && err.code !== "EPERM") throw err;
+    fs.copyFileSync(src, dest);
+  }
+}
+
+// Stable id for a cache key object ({ video, format, options... })
+function cacheId(key) {
+  const json = typeof key === "string" ? key : stableStringify(key);
+  return crypto.createHash("sha1").update(json).digest("hex");
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Disk-backed LRU cache of finished media files. Each entry lives in
+// dir/<id>/<filename> and is described in dir/index.json. Entries expire after
+// their TTL, and the least recently used ones are evicted once the total size
+// passes maxBytes. Files are handed out as hard links, so a checked-out copy
+// stays valid even if the entry is evicted meanwhile.
+function createMediaCache({
+  dir,
+  maxBytes = 10 * 1024 ** 3,
+  ttlMs = 24 * 60 * 60 * 1000,
+}) {
+  const indexFile = path.join(dir, "index.json");
+  const entries = new Map();
+  let saveTimer = null;
+
+  function save() {
+    saveTimer = null;
+    try {
+      fs.writeFileSync(
+        `${indexFile}.tmp`,
+        JSON.stringify([...entries.values()])
+      );
+      fs.renameSync(`${indexFile}.tmp`, indexFile);
+    } catch (err) {
+      console.error("Failed to save media cache index:", err.message);
+    }
+  }
+
+  function scheduleSave() {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, 1000);
+      saveTimer.unref();
+    }
+  }
+
+  // Write a pending index save now
+  function flush() {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    save();
+  }
+
+  process.on("exit", flush);
+
+  function entryPath(entry) {
+    return path.join(dir, entry.id, entry.filename);
+  }
+
+  function drop(entry) {
+    entries.delete(entry.id);
+    fs.rmSync(path.join(dir, entry.id), { recursive: true, force: true });
+    scheduleSave();
+  }
+
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      for (const entry of JSON.parse(fs.readFileSync(indexFile, "utf8"))) {
+        if (fs.existsSync(entryPath(entry))) entries.set(entry.id, entry);
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Ignoring unreadable media cache index:", err.message);
+      }
+    }
+    // Remove directories the index doesn't know about (interrupted writes)
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.startsWith("index.json") && !entries.has(name)) {
+        fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+      }
+    }
+    sweep();
+  }
+
+  function totalBytes() {
+    let total = 0;
+    for (const entry of entries.values()) total += entry.size;
+    return total;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const entry of entries.values()) {
+      if (entry.expiresAt <= now) drop(entry);
+    }
+  }
+
+  function evict() {
+    let total = totalBytes();
+    if (total <= maxBytes) return;
+    const byAge = [...entries.values()].sort(
+      (a, b) => a.lastAccess - b.lastAccess
+    );
+    for (const entry of byAge) {
+      if (total <= maxBytes) break;
+      total -= entry.size;
+      drop(entry);
+    }
+  }
+
+  function lookup(key) {
+    const entry = entries.get(cacheId(key));
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now() || !fs.existsSync(entryPath(entry))) {
+      drop(entry);
+      return null;
+    }
+    return entry;
+  }
+
+  function has(key) {
+    return lookup(key) !== null;
+  }
+
+  // Link the cached file for `key` into destDir. Returns { filePath,
+  // filename, size, meta } or null on a miss.
+  function checkout(key, destDir) {
+    const entry = lookup(key);
+    if (!entry) return null;
+    const filePath = path.join(destDir, entry.filename);
+    fs.rmSync(filePath, { force: true });
+    linkOrCopy(entryPath(entry), filePath);
+    entry.lastAccess = Date.now();
+    entry.hits++;
+    scheduleSave();
+    return {
+      filePath,
+      filename: entry.filename,
+      size: entry.size,
+      meta: entry.meta || null,
+    };
+  }
+
+  // Store a copy (hard link) of srcPath under `key`, with the `meta` of the
+  // download that made it
+  function put(key, srcPath, filename, { ttl = ttlMs, meta = null } = {}) {
+    const id = cacheId(key);
+    const existing = entries.get(id);
+    if (existing) drop(existing);
+
+    const size = fs.statSync(srcPath).size;
+    if (size > maxBytes) return null;
+    fs.mkdirSync(path.join(dir, id), { recursive: true });
+    const now = Date.now();
+    const entry = {
+      id,
+      key,
+      filename,
+      size,
+      meta,
+      hits: 0,
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: now + ttl,
+    };
+    linkOrCopy(srcPath, entryPath(entry));
+    entries.set(id, entry);
+    evict();
+    scheduleSave();
+    return entry;
+  }
+
+  // Download result for `key`: a cached copy linked into a new work dir
+  // (from createWorkDir, { name, removeCallback }), or what `produce`
+  // resolves with, which is then cached. Both come back as { filePath,
+  // filename, cleanup, meta, cached }.
+  async function fetch(key, produce, createWorkDir) {
+    if (has(key)) {
+      const workDir = createWorkDir();
+      const hit = checkout(key, workDir.name);
+      if (hit) {
+        return {
+          filePath: hit.filePath,
+          filename: hit.filename,
+          cleanup: workDir.removeCallback,
+          meta: hit.meta,
+          cached: true,
+        };
+      }
+      workDir.removeCallback();
+    }
+    const result = await produce();
+    try {
+      put(key, result.filePath, result.filename, { meta: result.meta });
+    } catch (err) {
+      console.error("Failed to cache download:", err.message);
+    }
+    return { ...result, meta: result.meta || null, cached: false };
+  }
+
+  function list() {
+    return [...entries.values()].sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+
+  function purge(id) {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    drop(entry);
+    return true;
+  }
+
+  function purgeAll() {
+    const count = entries.size;
+    for (const entry of [...entries.values()]) drop(entry);
+    return count;
+  }
+
+  function stats() {
+    return { entries: entries.size, totalBytes: totalBytes(), maxBytes, ttlMs };
+  }
+
+  load();
+  const sweeper = setInterval(sweep, Math.min(ttlMs, 10 * 60 * 1000));
+  sweeper.unref();
+
+  return {
+    has,
+    checkout,
+    put,
+    fetch,
+    list,
+    purge,
+    purgeAll,
+    stats,
+    flush,
+  };
+}
+
+module.exports = { createMediaCache, cacheId };
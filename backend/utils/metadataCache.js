@@ -0,0 +1,54 @@
+// In-memory cache of yt-dlp info JSON. Entries expire after ttlMs (stream URLs
+// inside the info expire too), and the oldest ones are dropped past
+// maxEntries. Concurrent lookups of the same key share one extraction.
+function createMetadataCache({
+  ttlMs = 30 * 60 * 1000,
+  maxEntries = 100,
+} = {}) {
+  const entries = new Map(); // key -> { info, expiresAt }
+  const inFlight = new Map(); // key -> Promise<info>
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.info;
+  }
+
+  function set(key, info) {
+    entries.delete(key);
+    entries.set(key, { info, expiresAt: Date.now() + ttlMs });
+    // Maps keep insertion order, so the first key is the oldest
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Cached info for `key`, or the result of load() (cached if it resolves)
+  function fetch(key, load) {
+    const cached = get(key);
+    if (cached) return Promise.resolve(cached);
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(load)
+      .then((info) => {
+        set(key, info);
+        return info;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function remove(key) {
+    entries.delete(key);
+  }
+
+  return { get, set, fetch, remove };
+}
+
+module.exports = { createMetadataCache };
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+// Containers a video download can end up in. `merge` is yt-dlp's
+// --merge-output-format: WebM only takes VP8/VP9/AV1 with Vorbis/Opus, so
+// other streams are merged into MKV and recoded to WebM afterwards.
+const VIDEO_CONTAINERS = {
+  mp4: { merge: "mp4" },
+  mkv: { merge: "mkv" },
+  webm: { merge: "webm/mkv" },
+};
+
+// mime is an ES module, so it is loaded on first use
+let mimeModule = null;
+function loadMime() {
+  if (!mimeModule) mimeModule = import("mime").then((mod) => mod.default);
+  return mimeModule;
+}
+
+// Content-Type for a file name, by its extension
+async function contentTypeFor(filename) {
+  const mime = await loadMime();
+  return mime.getType(filename) || "application/octet-stream";
+}
+
+// Paths yt-dlp wrote with --print-to-file (see printFilepathArgs), in order
+// and without repeats; empty when it didn't get that far. Relative paths are
+// resolved against yt-dlp's working dir.
+function readPrintedFilepaths(file, cwd) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const paths = content
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => path.resolve(cwd, line));
+  return [...new Set(paths)];
+}
+
+// Last printed path (the output of a single-file download), or null
+function readPrintedFilepath(file, cwd) {
+  const paths = readPrintedFilepaths(file, cwd);
+  return paths.length > 0 ? paths[paths.length - 1] : null;
+}
+
+// yt-dlp args that append the final output path (after merging, converting
+// and moving) to `file`. --print would put it on stdout but implies --quiet,
+// which also hides the progress and postprocessor lines.
+function printFilepathArgs(file) {
+  return ["--print-to-file", "after_move:filepath", file];
+}
+
+module.exports = {
+  VIDEO_CONTAINERS,
+  contentTypeFor,
+  readPrintedFilepaths,
+  readPrintedFilepath,
+  printFilepathArgs,
+};
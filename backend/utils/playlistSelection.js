@@ -0,0 +1,68 @@
+// Format selectors for the quality policies a playlist download can ask for
+// instead of per-video format ids
+const QUALITY_POLICIES = {
+  best: "bestvideo*+bestaudio/best",
+  "1080p": "bestvideo[height<=1080]+bestaudio/best[height<=1080]",
+  "720p": "bestvideo[height<=720]+bestaudio/best[height<=720]",
+  "480p": "bestvideo[height<=480]+bestaudio/best[height<=480]",
+  "360p": "bestvideo[height<=360]+bestaudio/best[height<=360]",
+  audio: "bestaudio/best",
+};
+
+// Parse an item selector like "1-50,60,70-" into a predicate on 1-based
+// playlist positions. Throws on anything else.
+function parseItemRanges(selector) {
+  const ranges = String(selector)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(\d+)(?:(-)(\d*))?$/.exec(part);
+      if (!match) throw new Error(`Invalid playlist item selector: "${part}"`);
+      const start = Number(match[1]);
+      const end = match[2] ? (match[3] ? Number(match[3]) : Infinity) : start;
+      if (start < 1 || end < start) {
+        throw new Error(`Invalid playlist item range: "${part}"`);
+      }
+      return [start, end];
+    });
+  if (ranges.length === 0) throw new Error("Empty playlist item selector");
+  return (position) =>
+    ranges.some(([start, end]) => position >= start && position <= end);
+}
+
+function uploadTime(entry) {
+  if (entry.timestamp) return entry.timestamp;
+  if (/^\d{8}$/.test(entry.upload_date || "")) {
+    const d = entry.upload_date;
+    return Date.UTC(d.slice(0, 4), d.slice(4, 6) - 1, d.slice(6, 8)) / 1000;
+  }
+  return null;
+}
+
+// Pick playlist entries, keeping their playlist position (1-based):
+// - items: a range selector (see parseItemRanges)
+// - newest: the N most recently uploaded entries; when the listing has no
+//   upload dates, the last N in playlist order (where new videos are added)
+// - reverse: reverse the final order
+function selectPlaylistItems(entries, { items, newest, reverse } = {}) {
+  let selected = entries.map((entry, i) => ({ ...entry, position: i + 1 }));
+
+  if (items) {
+    const inRange = parseItemRanges(items);
+    selected = selected.filter((entry) => inRange(entry.position));
+  }
+  if (newest) {
+    const dated = selected.every((entry) => uploadTime(entry) !== null);
+    selected = dated
+      ? [...selected]
+          .sort((a, b) => uploadTime(b) - uploadTime(a))
+          .slice(0, newest)
+          .sort((a, b) => a.position - b.position)
+      : selected.slice(-newest);
+  }
+  if (reverse) selected = [...selected].reverse();
+  return selected;
+}
+
+module.exports = { QUALITY_POLICIES, parseItemRanges, selectPlaylistItems };
@@ -0,0 +1,181 @@
+const { createAbortError } = require("./processTree");
+
+// Bounded pool for yt-dlp work. Tasks are grouped by kind ("metadata" for info
+// lookups, "download" for full downloads); each kind has its own slot limit on
+// top of the global `maxProcesses` cap. Within a kind, waiting tasks are
+// served round-robin across client ids so one big playlist cannot starve
+// everybody else.
+function createProcessPool({ maxProcesses = 4, slots = {} } = {}) {
+  const running = new Map(); // kind -> number of running tasks
+  const queues = new Map(); // kind -> { clients: Map<clientId, entry[]>, lastServed: Map<clientId, number> }
+  let totalRunning = 0;
+  let serial = 0;
+
+  function queueFor(kind) {
+    if (!queues.has(kind)) {
+      queues.set(kind, { clients: new Map(), lastServed: new Map() });
+    }
+    return queues.get(kind);
+  }
+
+  function enqueue(entry) {
+    const queue = queueFor(entry.kind);
+    if (!queue.clients.has(entry.clientId)) {
+      queue.clients.set(entry.clientId, []);
+    }
+    queue.clients.get(entry.clientId).push(entry);
+  }
+
+  function dequeue(entry) {
+    const queue = queueFor(entry.kind);
+    const list = queue.clients.get(entry.clientId);
+    const idx = list ? list.indexOf(entry) : -1;
+    if (idx === -1) return false;
+    list.splice(idx, 1);
+    if (list.length === 0) queue.clients.delete(entry.clientId);
+    return true;
+  }
+
+  // The waiting client served least recently goes next; clients that were
+  // never served go in arrival order. In steady state this is a round-robin.
+  function nextClient(clients, lastServed) {
+    let best = null;
+    let bestServed = Infinity;
+    for (const [clientId, list] of clients) {
+      if (list.length === 0) continue;
+      const served = lastServed.get(clientId) || 0;
+      if (served < bestServed) {
+        best = clientId;
+        bestServed = served;
+      }
+    }
+    return best;
+  }
+
+  function pickNext(kind) {
+    const queue = queueFor(kind);
+    const clientId = nextClient(queue.clients, queue.lastServed);
+    if (clientId === null) return null;
+    const list = queue.clients.get(clientId);
+    const entry = list.shift();
+    if (list.length === 0) queue.clients.delete(clientId);
+    queue.lastServed.set(clientId, ++serial);
+    // Forget idle clients once the bookkeeping grows large
+    if (queue.lastServed.size > 1000) {
+      for (const id of queue.lastServed.keys()) {
+        if (!queue.clients.has(id)) queue.lastServed.delete(id);
+      }
+    }
+    return entry;
+  }
+
+  // Waiting entries of `kind` in the order they will be started
+  function waitingOrder(kind) {
+    const queue = queueFor(kind);
+    const clients = new Map(
+      [...queue.clients].map(([clientId, list]) => [clientId, [...list]])
+    );
+    const lastServed = new Map(queue.lastServed);
+    const order = [];
+    let virtualSerial = serial;
+    let clientId;
+    while ((clientId = nextClient(clients, lastServed)) !== null) {
+      order.push(clients.get(clientId).shift());
+      lastServed.set(clientId, ++virtualSerial);
+    }
+    return order;
+  }
+
+  function reportPositions(kind) {
+    waitingOrder(kind).forEach((entry, idx) => {
+      const position = idx + 1;
+      if (entry.position !== position) {
+        entry.position = position;
+        if (entry.onPosition) entry.onPosition(position);
+      }
+    });
+  }
+
+  function canStart(kind) {
+    const limit = slots[kind] || maxProcesses;
+    return totalRunning < maxProcesses && (running.get(kind) || 0) < limit;
+  }
+
+  function start(entry) {
+    if (entry.signal) entry.signal.removeEventListener("abort", entry.onAbort);
+    running.set(entry.kind, (running.get(entry.kind) || 0) + 1);
+    totalRunning++;
+    if (entry.onPosition) entry.onPosition(0);
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        running.set(entry.kind, running.get(entry.kind) - 1);
+        totalRunning--;
+        drain();
+      });
+  }
+
+  function drain() {
+    let started = true;
+    while (started) {
+      started = false;
+      for (const kind of queues.keys()) {
+        if (!canStart(kind)) continue;
+        const entry = pickNext(kind);
+        if (entry) {
+          start(entry);
+          started = true;
+        }
+      }
+    }
+    for (const kind of queues.keys()) reportPositions(kind);
+  }
+
+  // Run `task` once a slot of `kind` is free. onPosition(n) is called with the
+  // 1-based queue position whenever it changes, and with 0 when it starts.
+  function run(kind, clientId, task, { signal, onPosition } = {}) {
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        kind,
+        clientId: clientId || "anonymous",
+        task,
+        resolve,
+        reject,
+        signal,
+        onPosition,
+        position: null,
+      };
+      if (signal) {
+        entry.onAbort = () => {
+          if (dequeue(entry)) {
+            reject(createAbortError());
+            reportPositions(kind);
+          }
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+      enqueue(entry);
+      drain();
+    });
+  }
+
+  function stats() {
+    const result = { maxProcesses, running: totalRunning, kinds: {} };
+    for (const kind of queues.keys()) {
+      result.kinds[kind] = {
+        limit: slots[kind] || maxProcesses,
+        running: running.get(kind) || 0,
+        queued: waitingOrder(kind).length,
+      };
+    }
+    return result;
+  }
+
+  return { run, stats };
+}
+
+module.exports = { createProcessPool };
@@ -0,0 +1,133 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+
+const isWindows = os.platform() === "win32";
+
+// yt-dlp runs ffmpeg as a child of its own, so killing just the yt-dlp pid
+// leaves the merge/recode running. On POSIX the process is spawned as the
+// leader of its own group (see spawnOptions) and the whole group is signalled.
+function spawnOptions(options = {}) {
+  return isWindows ? options : { ...options, detached: true };
+}
+
+// Process groups that may still be running: spawned ones until their leader
+// exits by itself, killed ones until they got SIGKILL. Written to
+// `groupsFile` (see reapProcessGroups) so a crashed server's children can be
+// killed on the next start.
+const liveGroups = new Set();
+let groupsFile = null;
+
+function saveGroups() {
+  if (!groupsFile) return;
+  try {
+    fs.writeFileSync(groupsFile, JSON.stringify([...liveGroups]));
+  } catch (err) {
+    console.error("Failed to save process groups:", err.message);
+  }
+}
+
+function setGroupLive(pid, live) {
+  if (live) liveGroups.add(pid);
+  else liveGroups.delete(pid);
+  saveGroups();
+}
+
+// Send `signal` to the process group led by `pid`
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+  } catch (err) {
+    // ESRCH: the group already exited
+    if (err.code !== "ESRCH") throw err;
+  }
+}
+
+// Kill the process groups a previous run left in `file`, then keep track of
+// this run's groups there. Call before anything is spawned.
+function reapProcessGroups(file) {
+  if (isWindows) return;
+  let pids = [];
+  try {
+    pids = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("Ignoring unreadable process group file:", err.message);
+    }
+  }
+  for (const pid of pids) {
+    try {
+      signalGroup(pid, "SIGKILL");
+    } catch (err) {
+      // EPERM: the pid was reused by a process we don't own
+      if (err.code !== "EPERM") throw err;
+    }
+  }
+  groupsFile = file;
+  saveGroups();
+}
+
+// SIGKILL every group still running, e.g. right before the server exits
+function killAllProcessGroups() {
+  for (const pid of liveGroups) signalGroup(pid, "SIGKILL");
+  liveGroups.clear();
+  saveGroups();
+}
+
+// Remember the group of a spawned `child` until its leader exits by itself
+function trackProcessGroup(child) {
+  if (isWindows || !child || !child.pid) return;
+  setGroupLive(child.pid, true);
+  child.once("exit", () => {
+    if (!child.killedGroup) setGroupLive(child.pid, false);
+  });
+}
+
+function killProcessTree(child, graceMs = 5000) {
+  if (!child || !child.pid || child.killedGroup || child.exitCode !== null) {
+    return;
+  }
+
+  if (isWindows) {
+    execFile("taskkill", ["/pid", String(child.pid), "/T", "/F"], (err) => {
+      if (err) console.error(`taskkill ${child.pid} failed:`, err.message);
+    });
+    return;
+  }
+
+  // The rest of the group (ffmpeg under yt-dlp) can outlive the leader, so
+  // the group gets SIGKILL after the grace period however the leader ended
+  child.killedGroup = true;
+  setGroupLive(child.pid, true);
+  signalGroup(child.pid, "SIGTERM");
+  const timer = setTimeout(() => {
+    signalGroup(child.pid, "SIGKILL");
+    setGroupLive(child.pid, false);
+  }, graceMs);
+  timer.unref();
+}
+
+// Kill `child` and its descendants as soon as `signal` aborts
+function bindAbortSignal(signal, child) {
+  trackProcessGroup(child);
+  if (!signal || !child) return;
+  if (signal.aborted) return killProcessTree(child);
+  const onAbort = () => killProcessTree(child);
+  signal.addEventListener("abort", onAbort, { once: true });
+  child.once("exit", () => signal.removeEventListener("abort", onAbort));
+}
+
+function createAbortError(message = "Download cancelled") {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+module.exports = {
+  spawnOptions,
+  killProcessTree,
+  bindAbortSignal,
+  reapProcessGroups,
+  killAllProcessGroups,
+  createAbortError,
+};
@@ -0,0 +1,90 @@
+// yt-dlp progress line in a machine-readable shape (fields missing from a
+// progress update print as "NA"). Pass with --progress-template; the lines
+// reach yt-dlp-wrap's ytDlpEvent as the "progress" event type.
+const PROGRESS_FIELDS = [
+  "downloaded_bytes",
+  "total_bytes",
+  "total_bytes_estimate",
+  "speed",
+  "eta",
+  "fragment_index",
+  "fragment_count",
+];
+const YTDLP_PROGRESS_TEMPLATE = `download:[progress] ${PROGRESS_FIELDS.map(
+  (field) => `%(progress.${field})s`
+).join(" ")}`;
+
+function toNumber(value) {
+  const n = Number(value);
+  return value === "NA" || value === "None" || !Number.isFinite(n) ? null : n;
+}
+
+function percentOf(done, total) {
+  if (done === null || !total) return null;
+  return Math.min(100, Math.round((done / total) * 1000) / 10);
+}
+
+// Parse the data of a "progress" ytDlpEvent into { percent, downloadedBytes,
+// totalBytes, speed, eta, fragmentIndex, fragmentCount }
+function parseYtDlpProgress(data) {
+  const [downloaded, total, estimate, speed, eta, fragment, fragments] = String(
+    data
+  )
+    .trim()
+    .split(/\s+/)
+    .map(toNumber);
+  const totalBytes = total !== null ? total : estimate;
+  return {
+    percent: percentOf(downloaded, totalBytes),
+    downloadedBytes: downloaded,
+    totalBytes: totalBytes !== null ? Math.round(totalBytes) : null,
+    speed: speed !== null ? Math.round(speed) : null,
+    eta: eta,
+    fragmentIndex: fragment,
+    fragmentCount: fragments,
+  };
+}
+
+// Accumulates ffmpeg `-progress` key=value output. feed() returns the
+// progress ({ percent, speed, eta, outTimeSec }) whenever a block ends.
+function createFfmpegProgressParser(durationSec) {
+  let block = {};
+  let buffered = "";
+
+  return function feed(chunk) {
+    buffered += chunk;
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    let latest = null;
+    for (const line of lines) {
+      const idx = line.indexOf("=");
+      if (idx === -1) continue;
+      const key = line.slice(0, idx).trim();
+      block[key] = line.slice(idx + 1).trim();
+      if (key !== "progress") continue;
+
+      // out_time_us and out_time_ms are both microseconds
+      const outTimeSec =
+        (toNumber(block.out_time_us) ?? toNumber(block.out_time_ms) ?? 0) / 1e6;
+      const speed = parseFloat(block.speed) || null;
+      const done = block.progress === "end";
+      latest = {
+        percent: done ? 100 : percentOf(outTimeSec, durationSec),
+        outTimeSec,
+        speed,
+        eta:
+          durationSec && speed
+            ? Math.max(0, Math.round((durationSec - outTimeSec) / speed))
+            : null,
+      };
+      block = {};
+    }
+    return latest;
+  };
+}
+
+module.exports = {
+  YTDLP_PROGRESS_TEMPLATE,
+  parseYtDlpProgress,
+  createFfmpegProgressParser,
+};
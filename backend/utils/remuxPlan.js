@@ -0,0 +1,80 @@
+const {
+  transcodeOptions,
+  videoEncodeArgs,
+  audioEncodeArgs,
+} = require("./transcode");
+
+// Codecs (ffprobe names) that go in each container without recoding; null
+// takes anything. MP4 can hold more, but only these play nearly everywhere.
+const CONTAINER_CODECS = {
+  mp4: {
+    video: ["h264", "hevc"],
+    audio: ["aac", "mp3"],
+  },
+  webm: {
+    video: ["vp8", "vp9", "av1"],
+    audio: ["opus", "vorbis"],
+  },
+  mkv: { video: null, audio: null },
+};
+
+// Codec a video stream that doesn't fit is re-encoded to
+const RECODE_CODECS = { mp4: "h264", mkv: "h264", webm: "vp9" };
+
+function fits(codec, allowed) {
+  return allowed === null || allowed.includes(codec);
+}
+
+// How a file with `streams` (see probeStreams) becomes a `container` file.
+// Streams that fit are copied and only the others re-encoded. Returns
+// { strategy, videoCodec, audioCodec, video, audio }, where video and audio
+// are "copy", "encode", or null without such a stream, and strategy is
+// "remux", "recode-video", "recode-audio" or "recode" (both).
+function remuxPlan(streams, container) {
+  const allowed = CONTAINER_CODECS[container];
+  // An embedded cover is an image, not the video
+  const video = streams.find(
+    (s) =>
+      s.codec_type === "video" && !(s.disposition && s.disposition.attached_pic)
+  );
+  const audio = streams.find((s) => s.codec_type === "audio");
+  const action = (stream, codecs) => {
+    if (!stream) return null;
+    return fits(stream.codec_name, codecs) ? "copy" : "encode";
+  };
+  const plan = {
+    videoCodec: video ? video.codec_name : null,
+    audioCodec: audio ? audio.codec_name : null,
+    video: action(video, allowed.video),
+    audio: action(audio, allowed.audio),
+  };
+  let strategy = "remux";
+  if (plan.video === "encode" && plan.audio === "encode") strategy = "recode";
+  else if (plan.video === "encode") strategy = "recode-video";
+  else if (plan.audio === "encode") strategy = "recode-audio";
+  return { strategy, ...plan };
+}
+
+// ffmpeg output options that carry out `plan` into `container`. Re-encoded
+// streams get the default settings of a transcode to RECODE_CODECS.
+function remuxArgs(plan, container) {
+  const settings = transcodeOptions(
+    { codec: RECODE_CODECS[container] },
+    container
+  );
+  const args = [];
+  if (plan.video === "encode") args.push(...videoEncodeArgs(settings));
+  else {
+    args.push("-c:v:0", "copy");
+    // Apple players only take HEVC in MP4 with this tag
+    if (plan.videoCodec === "hevc" && container === "mp4") {
+      args.push("-tag:v:0", "hvc1");
+    }
+  }
+  if (plan.audio === "encode")
+    args.push(...audioEncodeArgs(settings, container));
+  else args.push("-c:a", "copy");
+  return args;
+}
+
+module.exports = { CONTAINER_CODECS, remuxPlan, remuxArgs };
@@ -0,0 +1,131 @@
+const { createAbortError } = require("./processTree");
+
+// Format selectors tried, in order, when the requested format is not
+// available. Override with FORMAT_FALLBACK_LADDER (a JSON array).
+const DEFAULT_FORMAT_LADDER = [
+  "bestvideo[vcodec^=avc1]+bestaudio[acodec^=mp4a]/best",
+  "bestvideo*+bestaudio/best",
+  "best",
+];
+
+const TRANSIENT_PATTERNS = [
+  /HTTP Error 429|Too Many Requests/i,
+  /HTTP Error 5\d\d/i,
+  /ECONNRESET|Connection reset|Connection aborted|Broken pipe/i,
+  /timed out|ETIMEDOUT|Temporary failure in name resolution/i,
+  /IncompleteRead|Remote end closed connection/i,
+  /fragment/i,
+];
+const FORMAT_PATTERNS = [/Requested format is not available/i];
+
+// What the failed process reported: its stderr, or else the message without
+// the command line (execFile's "Command failed: <command>", which
+// yt-dlp-wrap puts in its own message). The URL and the -o and -f values in
+// the command line could match any of the patterns.
+function errorText(err) {
+  if (!err) return "";
+  if (err.stderr) return err.stderr;
+  return (err.message || "")
+    .split("\n")
+    .filter((line) => !line.includes("Command failed:"))
+    .join("\n");
+}
+
+// "cancelled", "transient" (worth retrying as-is), "format" (worth retrying
+// with another selector) or "fatal"
+function classifyError(err) {
+  if (err && err.name === "AbortError") return "cancelled";
+  const text = errorText(err);
+  if (FORMAT_PATTERNS.some((re) => re.test(text))) return "format";
+  if (TRANSIENT_PATTERNS.some((re) => re.test(text))) return "transient";
+  return "fatal";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function createRetryPolicy({
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  ladder = DEFAULT_FORMAT_LADDER,
+  random = Math.random,
+} = {}) {
+  // Exponential backoff with "full jitter": a random delay up to the cap
+  function delayFor(retry) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+    return Math.round(random() * cap);
+  }
+
+  // Call attempt({ attempt, format }) until it resolves. Transient failures
+  // retry the same format after a backoff; format failures move one step down
+  // the ladder. onAttempt is told about every retry before it starts.
+  async function run(attempt, { format, signal, onAttempt = () => {} } = {}) {
+    const formats = format
+      ? [format, ...ladder.filter((f) => f !== format)]
+      : [undefined];
+    let formatIndex = 0;
+    let transientRetries = 0;
+
+    for (let n = 1; ; n++) {
+      if (signal && signal.aborted) throw createAbortError();
+      try {
+        return await attempt({ attempt: n, format: formats[formatIndex] });
+      } catch (err) {
+        const kind = classifyError(err);
+        let delayMs = 0;
+        if (kind === "transient" && transientRetries < maxRetries) {
+          delayMs = delayFor(transientRetries++);
+        } else if (kind === "format" && formatIndex < formats.length - 1) {
+          formatIndex++;
+        } else {
+          throw err;
+        }
+        onAttempt({
+          attempt: n + 1,
+          reason: kind,
+          format: formats[formatIndex],
+          delayMs,
+          error: err.message,
+        });
+        if (delayMs > 0) await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  return { run, delayFor };
+}
+
+// Ladder from FORMAT_FALLBACK_LADDER, falling back to the default
+function ladderFromEnv(value) {
+  if (!value) return DEFAULT_FORMAT_LADDER;
+  try {
+    const ladder = JSON.parse(value);
+    if (Array.isArray(ladder) && ladder.every((f) => typeof f === "string")) {
+      return ladder;
+    }
+  } catch (e) {
+    // fall through
+  }
+  console.warn("Ignoring invalid FORMAT_FALLBACK_LADDER, using the default");
+  return DEFAULT_FORMAT_LADDER;
+}
+
+module.exports = {
+  DEFAULT_FORMAT_LADDER,
+  classifyError,
+  createRetryPolicy,
+  ladderFromEnv,
+};
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+
+// Sidecar formats subtitles can be converted to
+const SUBTITLE_FORMATS = ["srt", "vtt"];
+// sidecar: separate files next to the video (a ZIP for single downloads);
+// embed: soft subtitle tracks inside the MP4/MKV/WebM
+const SUBTITLE_MODES = ["sidecar", "embed"];
+
+function listTracks(byLang) {
+  return Object.entries(byLang || {})
+    .filter(([lang]) => lang !== "live_chat")
+    .map(([lang, tracks]) => ({
+      lang,
+      name: (tracks.find((track) => track.name) || {}).name || lang,
+      formats: [...new Set(tracks.map((track) => track.ext).filter(Boolean))],
+    }))
+    .sort((a, b) => a.lang.localeCompare(b.lang));
+}
+
+// Subtitle languages of a video from its yt-dlp info: uploaded ones
+// (`manual`) and automatic captions (`auto`)
+function subtitleTracks(info) {
+  return {
+    manual: listTracks(info.subtitles),
+    auto: listTracks(info.automatic_captions),
+  };
+}
+
+// Normalize the subtitle fields of a request: subtitleLangs ("en,es", an
+// array, or "all"), subtitleFormat, subtitleMode and autoSubtitles (also
+// fetch automatic captions). Null when no languages are asked for.
+function subtitleOptions({
+  subtitleLangs,
+  subtitleFormat,
+  subtitleMode,
+  autoSubtitles,
+} = {}) {
+  const languages = (
+    Array.isArray(subtitleLangs)
+      ? subtitleLangs
+      : String(subtitleLangs || "").split(",")
+  )
+    .map((lang) => lang.trim())
+    .filter(Boolean);
+  if (languages.length === 0) return null;
+  return {
+    languages,
+    format: subtitleFormat || "srt",
+    mode: subtitleMode || "sidecar",
+    auto: Boolean(autoSubtitles),
+  };
+}
+
+// yt-dlp arguments that fetch the subtitles, and convert them (sidecars) or
+// embed them into the video
+function subtitleArgs({ languages, format, mode, auto }) {
+  const args = ["--write-subs"];
+  if (auto) args.push("--write-auto-subs");
+  args.push("--sub-langs", languages.join(","));
+  if (mode === "embed") {
+    args.push("--embed-subs");
+  } else {
+    args.push("--sub-format", `${format}/best`, "--convert-subs", format);
+  }
+  return args;
+}
+
+// yt-dlp args that append the final subtitle paths (a JSON list) to `file`
+function printSubtitlesArgs(file) {
+  return [
+    "--print-to-file",
+    "after_move:%(requested_subtitles.:.filepath)j",
+    file,
+  ];
+}
+
+// Subtitle files yt-dlp left behind (see printSubtitlesArgs); embedded ones
+// are gone once they are in the video
+function readPrintedSubtitles(file, cwd) {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(Boolean);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const paths = lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+  return (paths || [])
+    .filter(Boolean)
+    .map((filePath) => path.resolve(cwd, filePath))
+    .filter((filePath) => fs.existsSync(filePath));
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  SUBTITLE_MODES,
+  subtitleTracks,
+  subtitleOptions,
+  subtitleArgs,
+  printSubtitlesArgs,
+  readPrintedSubtitles,
+};
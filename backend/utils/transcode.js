@@ -0,0 +1,206 @@
+const { AUDIO_BITRATES } = require("./audioFormats");
+
+// Video codecs a transcode can produce. `crf` is the default quality, `maxCrf`
+// the encoder's scale; `containers` are the ones the codec can go in.
+const VIDEO_CODECS = {
+  h264: {
+    encoder: "libx264",
+    crf: 23,
+    maxCrf: 51,
+    containers: ["mp4", "mkv"],
+  },
+  hevc: {
+    encoder: "libx265",
+    crf: 28,
+    maxCrf: 51,
+    containers: ["mp4", "mkv"],
+  },
+  vp9: {
+    encoder: "libvpx-vp9",
+    crf: 32,
+    maxCrf: 63,
+    containers: ["webm", "mkv", "mp4"],
+  },
+};
+
+// Audio encoder for each container
+const AUDIO_ENCODERS = { mp4: "aac", mkv: "aac", webm: "libopus" };
+
+// Named settings, in the same shape as a custom transcode request
+const TRANSCODE_PRESETS = {
+  "chat-720p": {
+    maxHeight: 720,
+    codec: "h264",
+    maxSizeMb: 25,
+    audioBitrate: 96,
+  },
+  "web-1080p": { maxHeight: 1080, codec: "h264", crf: 23, audioBitrate: 128 },
+  "small-480p": { maxHeight: 480, codec: "h264", crf: 28, audioBitrate: 96 },
+  "archive-hevc": { codec: "hevc", crf: 22, audioBitrate: 192 },
+};
+
+// Share of a size limit the video stream may use, leaving room for the
+// container overhead and the encoder missing its target
+const SIZE_LIMIT_HEADROOM = 0.96;
+// Lowest video bitrate (kbit/s) a size limit may come down to
+const MIN_VIDEO_BITRATE = 100;
+
+function inRange(value, min, max, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Normalize a request's `transcode`: a preset name, or custom settings
+// { maxHeight, codec, crf, videoBitrate (kbit/s), audioBitrate (kbit/s),
+// maxSizeMb }, for videos in `container`. Returns { preset, codec,
+// maxHeight, crf, videoBitrate, audioBitrate, maxSize (bytes) }, or null
+// without a transcode. Throws on settings that can't be used.
+function transcodeOptions(value, container = "mp4") {
+  if (value === undefined || value === null || value === "") return null;
+  let preset = null;
+  let custom = value;
+  if (typeof value === "string") {
+    if (!TRANSCODE_PRESETS[value]) {
+      throw new Error(
+        `Transcode preset must be one of: ${Object.keys(TRANSCODE_PRESETS).join(
+          ", "
+        )}`
+      );
+    }
+    preset = value;
+    custom = TRANSCODE_PRESETS[value];
+  } else if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("Transcode must be a preset name or custom settings");
+  }
+
+  const codec = custom.codec || "h264";
+  const spec = VIDEO_CODECS[codec];
+  if (!spec) {
+    throw new Error(
+      `Video codec must be one of: ${Object.keys(VIDEO_CODECS).join(", ")}`
+    );
+  }
+  if (!spec.containers.includes(container)) {
+    throw new Error(`${codec} video can't be put in ${container}`);
+  }
+  if (custom.crf !== undefined && custom.videoBitrate !== undefined) {
+    throw new Error("Use either a CRF or a video bitrate, not both");
+  }
+  const audioBitrate =
+    custom.audioBitrate === undefined ? 128 : Number(custom.audioBitrate);
+  if (!AUDIO_BITRATES.includes(audioBitrate)) {
+    throw new Error(
+      `Audio bitrate must be one of: ${AUDIO_BITRATES.join(", ")}`
+    );
+  }
+  const maxHeight =
+    custom.maxHeight === undefined
+      ? null
+      : inRange(custom.maxHeight, 144, 4320, "Max height");
+  const videoBitrate =
+    custom.videoBitrate === undefined
+      ? null
+      : inRange(
+          custom.videoBitrate,
+          MIN_VIDEO_BITRATE,
+          100000,
+          "Video bitrate"
+        );
+  const maxSize =
+    custom.maxSizeMb === undefined
+      ? null
+      : inRange(custom.maxSizeMb, 1, 100000, "Max size") * 1024 * 1024;
+  let crf = null;
+  if (custom.crf !== undefined)
+    crf = inRange(custom.crf, 0, spec.maxCrf, "CRF");
+  else if (videoBitrate === null && maxSize === null) crf = spec.crf;
+
+  return { preset, codec, maxHeight, crf, videoBitrate, audioBitrate, maxSize };
+}
+
+// Video bitrate (kbit/s) to encode `durationSec` seconds at: the requested
+// one, lowered if needed so the output stays under maxSize. Throws when the
+// limit leaves too little for the video.
+function targetVideoBitrate(settings, durationSec) {
+  if (settings.maxSize === null) return settings.videoBitrate;
+  if (!durationSec) {
+    throw new Error("A size limit needs the length of the video");
+  }
+  const totalKbps =
+    (settings.maxSize * 8 * SIZE_LIMIT_HEADROOM) / durationSec / 1000;
+  const fitting = Math.floor(totalKbps - settings.audioBitrate);
+  if (fitting < MIN_VIDEO_BITRATE) {
+    throw new Error(
+      `The video is too long to fit in ${Math.round(
+        settings.maxSize / 1024 / 1024
+      )} MB`
+    );
+  }
+  return settings.videoBitrate === null
+    ? fitting
+    : Math.min(settings.videoBitrate, fitting);
+}
+
+// Size-limited transcodes take two passes, so the bitrate is spread well
+function transcodePasses(settings) {
+  return settings.maxSize === null ? 1 : 2;
+}
+
+// ffmpeg output options for the video of a transcode (the first video
+// stream; a cover after it is left alone): scaling down to maxHeight, the
+// encoder and its rate control. `pass` and `passLogFile` are for two-pass
+// encodes.
+function videoEncodeArgs(
+  settings,
+  { durationSec, pass = null, passLogFile = null } = {}
+) {
+  const spec = VIDEO_CODECS[settings.codec];
+  const args = [];
+  if (settings.maxHeight) {
+    args.push("-filter:v:0", `scale=-2:'min(${settings.maxHeight},ih)'`);
+  }
+  args.push("-c:v:0", spec.encoder, "-pix_fmt:v:0", "yuv420p");
+  // Apple players only take HEVC in MP4 with this tag
+  if (settings.codec === "hevc") args.push("-tag:v:0", "hvc1");
+
+  const bitrate = targetVideoBitrate(settings, durationSec);
+  if (bitrate === null) {
+    args.push("-crf", String(settings.crf));
+    // libvpx needs a zero bitrate for constant quality
+    if (settings.codec === "vp9") args.push("-b:v:0", "0");
+  } else {
+    args.push("-b:v:0", `${bitrate}k`);
+  }
+  if (pass) {
+    // libx265 takes its pass options through x265-params
+    if (settings.codec === "hevc") {
+      args.push("-x265-params", `pass=${pass}:stats=${passLogFile}`);
+    } else {
+      args.push("-pass:v:0", String(pass), "-passlogfile:v:0", passLogFile);
+    }
+  }
+  return args;
+}
+
+// ffmpeg output options for the audio of a transcode into `container`
+function audioEncodeArgs(settings, container) {
+  return [
+    "-c:a",
+    AUDIO_ENCODERS[container],
+    "-b:a",
+    `${settings.audioBitrate}k`,
+  ];
+}
+
+module.exports = {
+  VIDEO_CODECS,
+  TRANSCODE_PRESETS,
+  transcodeOptions,
+  targetVideoBitrate,
+  transcodePasses,
+  videoEncodeArgs,
+  audioEncodeArgs,
+};
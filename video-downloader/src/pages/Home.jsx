@@ -5,6 +5,219 @@ import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faDownload, faPlay } from "@fortawesome/free-solid-svg-icons";
 import Howto from "../components/Howto";
 
+// Labels for the phases reported in the server's "progress" events
+const PHASE_LABELS = {
+  extracting: "Fetching video info",
+  downloading: "Downloading",
+  merging: "Merging audio and video",
+  remuxing: "Remuxing",
+  recoding: "Converting",
+  converting: "Creating animation",
+  transcoding: "Transcoding",
+  streaming: "Sending file",
+};
+
+// Badge text and colours for each ZIP item status
+const ITEM_BADGES = {
+  pending: ["Waiting", "bg-gray-200 text-gray-700"],
+  downloading: ["Downloading", "bg-blue-100 text-blue-800"],
+  done: ["Done", "bg-green-100 text-green-800"],
+  failed: ["Failed", "bg-red-100 text-red-800"],
+};
+
+function formatBytes(bytes) {
+  if (bytes == null) return null;
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatEta(seconds) {
+  if (seconds == null) return null;
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// "h:mm:ss" (or "m:ss") for a clip time in seconds
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Start time from a `t=` parameter ("90", "90s", "1m30s", "1h2m3s"), or null
+function urlStartTime(videoUrl) {
+  let t;
+  try {
+    const parsed = new URL(videoUrl);
+    t =
+      parsed.searchParams.get("t") ||
+      new URLSearchParams(parsed.hash.slice(1)).get("t");
+  } catch {
+    return null;
+  }
+  const match = t && /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(t);
+  if (!match || !match[0]) return null;
+  const [, h = 0, m = 0, s = 0] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+// Start/end of the clip to download; the whole video when both are empty
+function clipRequestFields({ start, end, accurate }) {
+  if (!start.trim() && !end.trim()) return {};
+  return {
+    ...(start.trim() && { start: start.trim() }),
+    ...(end.trim() && { end: end.trim() }),
+    accurateCuts: accurate,
+  };
+}
+
+// Subtitle languages to fetch ("en,es"), from automatic captions too when
+// `auto` is set; none when `langs` is empty
+function subtitleRequestFields({ langs, auto, mode, format }) {
+  if (!langs.trim()) return {};
+  return {
+    subtitleLangs: langs.trim(),
+    subtitleMode: mode,
+    subtitleFormat: format,
+    autoSubtitles: auto,
+  };
+}
+
+// Video containers, and the audio mode codecs and lossy bitrates (kbit/s),
+// the server can produce
+const VIDEO_CONTAINERS = ["mp4", "mkv", "webm"];
+const AUDIO_FORMATS = ["mp3", "m4a", "opus", "flac"];
+const AUDIO_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+
+// `embed` is "" to leave tagging to the server's default
+function outputRequestFields({ container, format, bitrate, embed }) {
+  const embedField = embed && { embedMetadata: embed === "on" };
+  if (!format) return { container, ...embedField };
+  return {
+    audioFormat: format,
+    ...(format !== "flac" && { audioBitrate: bitrate }),
+    ...embedField,
+  };
+}
+
+// Extension of a download response's file, from its Content-Disposition
+function responseExtension(res) {
+  const contentDisposition = res.headers["content-disposition"];
+  const match =
+    contentDisposition && contentDisposition.match(/filename="?.*\.(\w+)"?/);
+  return match && match[1] ? `.${match[1]}` : ".mp4";
+}
+
+// Groups of the server's format catalog, in the order they are offered
+const FORMAT_GROUPS = [
+  ["videoAudio", "Video + audio"],
+  ["videoOnly", "Video (best audio merged in)"],
+  ["audioOnly", "Audio only"],
+];
+
+// Every format of a catalog, best video+audio first
+function catalogFormats(catalog) {
+  return FORMAT_GROUPS.flatMap(([group]) => catalog?.[group] || []);
+}
+
+// "1080p60 HDR • h264 + aac • mp4 • ~12.3 MB"
+function formatLabel(format) {
+  const quality = format.resolution
+    ? `${format.resolution}${format.fps > 30 ? Math.round(format.fps) : ""}${
+        format.hdr ? " HDR" : ""
+      }`
+    : format.note || (format.bitrate ? `${format.bitrate} kbps` : "Unknown");
+  const codecs = [format.videoCodec, format.audioCodec]
+    .filter(Boolean)
+    .join(" + ");
+  const size = format.size
+    ? `${format.sizeEstimated ? "~" : ""}${(
+        format.size /
+        (1024 * 1024)
+      ).toFixed(1)} MB`
+    : "N/A";
+  return [quality, format.language, codecs, format.ext, size]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+// Animation formats the server can make from a clip, with their extensions
+const ANIMATION_FORMATS = { gif: ".gif", webp: ".webp", mp4: ".mp4" };
+
+// Named transcoding presets on the server, and the custom mode's choices
+const TRANSCODE_PRESETS = {
+  "chat-720p": "720p H.264 under 25 MB (chat)",
+  "web-1080p": "1080p H.264",
+  "small-480p": "480p H.264 (small)",
+  "archive-hevc": "HEVC (archive)",
+};
+const VIDEO_CODECS = ["h264", "hevc", "vp9"];
+const MAX_HEIGHTS = [2160, 1440, 1080, 720, 480, 360];
+
+// `preset` is "" for no transcode, a preset name, or "custom". WebM only
+// takes VP9.
+function transcodeRequestFields({ preset, custom }, container) {
+  if (!preset) return {};
+  if (preset !== "custom") return { transcode: preset };
+  const { maxHeight, codec, rateMode, crf, videoBitrate, audioBitrate } =
+    custom;
+  return {
+    transcode: {
+      codec: container === "webm" ? "vp9" : codec,
+      audioBitrate,
+      ...(maxHeight && { maxHeight: Number(maxHeight) }),
+      ...(rateMode === "crf" && { crf: Number(crf) }),
+      ...(rateMode === "bitrate" && { videoBitrate: Number(videoBitrate) }),
+      ...(rateMode === "size" && { maxSizeMb: Number(custom.maxSizeMb) }),
+    },
+  };
+}
+
+// File extensions of the archive formats the ZIP downloads can use
+const ARCHIVE_EXTENSIONS = { zip: ".zip", tar: ".tar", "tar.gz": ".tar.gz" };
+// Volume size for FAT32 drives, which can't hold files of 4 GB or more
+const FAT32_SPLIT_MB = 4000;
+
+function archiveRequestFields({ archiveFormat, splitForFat32 }) {
+  return {
+    archiveFormat,
+    ...(splitForFat32 && { splitSizeMb: FAT32_SPLIT_MB }),
+  };
+}
+
+// Save a ZIP download response: the archive itself, or for a split archive
+// (a JSON list of volumes) each volume from the server
+function saveArchive(data, baseName, { archiveFormat, splitForFat32 }) {
+  const files = splitForFat32
+    ? data.volumes.map((volume) => ({
+        href: `http://localhost:3000${volume.url}`,
+        name: volume.filename,
+      }))
+    : [
+        {
+          href: window.URL.createObjectURL(new Blob([data])),
+          name: `${baseName}${ARCHIVE_EXTENSIONS[archiveFormat]}`,
+        },
+      ];
+  files.forEach(({ href, name }) => {
+    const link = document.createElement("a");
+    link.href = href;
+    link.setAttribute("download", name);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  });
+  if (!splitForFat32) window.URL.revokeObjectURL(files[0].href);
+}
+
 function Home() {
   const [url, setUrl] = useState("");
   const [loading, setLoading] = useState(false);
@@ -20,8 +233,58 @@ function Home() {
   const lastLoadedRef = useRef({});
   const [downloadId, setDownloadId] = useState(null);
   const [formatFilter, setFormatFilter] = useState("all"); // 1. Add format filter tabs state
+  const [queuePosition, setQueuePosition] = useState(0); // Position in the server's yt-dlp queue (0 = running)
+  const [progressInfo, setProgressInfo] = useState(null); // Phase, speed, ETA and bytes of the running download
+  const [itemStatus, setItemStatus] = useState({}); // ZIP download status by video id
+  const [playlistOptions, setPlaylistOptions] = useState({
+    items: "",
+    newest: "",
+    reverse: false,
+    quality: "best",
+  }); // Server-side selection for "download whole playlist"
+  const [archiveOptions, setArchiveOptions] = useState({
+    archiveFormat: "zip",
+    splitForFat32: false,
+  }); // Output of both ZIP downloads
+  const [outputMode, setOutputMode] = useState({
+    container: "mp4",
+    format: "",
+    bitrate: 192,
+    embed: "",
+  }); // Video container, or audio-only output when format is set
+  const [clipRange, setClipRange] = useState({
+    start: "",
+    end: "",
+    accurate: false,
+  }); // Time range of a single video download, as "h:mm:ss" or seconds
+  const [subtitleChoice, setSubtitleChoice] = useState({
+    langs: "",
+    auto: false,
+    mode: "sidecar",
+    format: "srt",
+  }); // Subtitles to download as separate files or embed in the video
+  const [splitChapters, setSplitChapters] = useState(false); // One file per chapter
+  const [animationOptions, setAnimationOptions] = useState({
+    format: "gif",
+    width: 480,
+    fps: 15,
+  }); // GIF/WebP/MP4 loop made from the clip range
+  const [transcodeChoice, setTranscodeChoice] = useState({
+    preset: "",
+    custom: {
+      maxHeight: "",
+      codec: "h264",
+      rateMode: "crf",
+      crf: 23,
+      videoBitrate: 2500,
+      maxSizeMb: 25,
+      audioBitrate: 128,
+    },
+  }); // Re-encoding of downloaded videos
 
   const socketRef = useRef();
+  const abortControllerRef = useRef(null); // Aborts the pending download request
+  const downloadErrorRef = useRef(null); // Typed error from the server's "error" event
 
   useEffect(() => {
     // Initialize socket only once
@@ -34,8 +297,18 @@ function Home() {
       }
     });
 
-    socketRef.current.on("progress", ({ percent }) => {
-      setDownloadProgress(percent);
+    socketRef.current.on("progress", (progress) => {
+      // Phases like merging have no percentage; keep the bar where it is
+      if (progress.percent != null) setDownloadProgress(progress.percent);
+      setProgressInfo(progress);
+    });
+
+    socketRef.current.on("error", ({ error }) => {
+      downloadErrorRef.current = error;
+    });
+
+    socketRef.current.on("queue", ({ position }) => {
+      setQueuePosition(position);
     });
 
     return () => {
@@ -51,6 +324,15 @@ function Home() {
     setSelectedFormat(null);
     setSelectedFormats({});
     setSelectedVideos(new Set());
+    // A t= timestamp in the pasted link starts the clip there
+    const startTime = urlStartTime(url);
+    setClipRange({
+      start: startTime ? formatTimestamp(startTime) : "",
+      end: "",
+      accurate: false,
+    });
+    setSubtitleChoice((prev) => ({ ...prev, langs: "", auto: false }));
+    setSplitChapters(false);
 
     try {
       const res = await axios.post("http://localhost:3000/api/downloads", {
@@ -73,8 +355,8 @@ function Home() {
         // Initialize selected formats for each video to first available format
         const initialFormats = {};
         res.data.videos?.forEach((v) => {
-          if (v.formats?.length > 0)
-            initialFormats[v.id] = v.formats[0].format_id;
+          const [first] = catalogFormats(v.formats);
+          if (first) initialFormats[v.id] = first.id;
         });
         setSelectedFormats(initialFormats);
       } else {
@@ -82,9 +364,8 @@ function Home() {
         // 🟨 Log for single video
         console.log("Single videoInfo:", res.data);
 
-        if (res.data.formats?.length > 0) {
-          setSelectedFormat(res.data.formats[0].format_id);
-        }
+        const [first] = catalogFormats(res.data.formats);
+        if (first) setSelectedFormat(first.id);
       }
     } catch {
       alert("Failed to fetch video or playlist info.");
@@ -95,6 +376,14 @@ function Home() {
 
   const THROTTLE_INTERVAL = 500; // ms
 
+  // Stop the server-side yt-dlp job and the pending request
+  const handleCancelDownload = () => {
+    if (downloadId) {
+      socketRef.current.emit("cancel", downloadId);
+    }
+    abortControllerRef.current?.abort();
+  };
+
   const handleDownload = async () => {
     if (!url || !selectedFormat) {
       alert("Please fetch a video and select a format.");
@@ -103,6 +392,9 @@ function Home() {
 
     setIsDownloading(true);
     setDownloadProgress(0);
+    setProgressInfo(null);
+    downloadErrorRef.current = null;
+    abortControllerRef.current = new AbortController();
 
     let socketProgressHandler;
     try {
@@ -121,7 +413,7 @@ function Home() {
 
       // Listen for progress events for this download
       socketProgressHandler = ({ percent }) => {
-        setDownloadProgress(percent || 0);
+        if (percent != null) setDownloadProgress(percent);
       };
       socketRef.current.on("progress", socketProgressHandler);
 
@@ -135,23 +427,25 @@ function Home() {
               ? undefined
               : selectedFormat,
           downloadId: downloadIdToUse,
+          ...outputRequestFields(outputMode),
+          ...(!outputMode.format &&
+            transcodeRequestFields(transcodeChoice, outputMode.container)),
+          // A chapter split can't be combined with a clip
+          ...(splitChapters
+            ? { splitChapters: true }
+            : clipRequestFields(clipRange)),
+          ...subtitleRequestFields(subtitleChoice),
         },
-        { responseType: "blob" }
+        { responseType: "blob", signal: abortControllerRef.current.signal }
       );
 
-      let contentDisposition = res.headers["content-disposition"];
-      let ext = ".mp4";
-      if (contentDisposition) {
-        const match = contentDisposition.match(/filename="?.*\.(\w+)"?/);
-        if (match && match[1]) {
-          ext = "." + match[1];
-        }
-      }
       const blob = new Blob([res.data]);
-      triggerDownload(blob, `${filename}${ext}`);
+      triggerDownload(blob, `${filename}${responseExtension(res)}`);
     } catch (err) {
-      alert("Download failed");
-      console.error(err);
+      if (!axios.isCancel(err)) {
+        alert(downloadErrorRef.current?.message || "Download failed");
+        console.error(err);
+      }
     }
 
     // Clean up socket listener after download
@@ -160,13 +454,510 @@ function Home() {
     }
     setIsDownloading(false);
     setDownloadProgress(0);
+    setQueuePosition(0);
+    setProgressInfo(null);
     setDownloadId(null); // clear after download
   };
 
+  // Videos the last ZIP download had to leave out
+  function failedVideoIds() {
+    return Object.keys(itemStatus).filter(
+      (videoId) => itemStatus[videoId].status === "failed"
+    );
+  }
+
+  // Status badge shown next to a video while it is part of a ZIP download
+  function renderItemBadge({ status, percent, error }) {
+    const [label, colors] = ITEM_BADGES[status] || ITEM_BADGES.pending;
+    return (
+      <span
+        className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${colors}`}
+        title={error?.detail || undefined}
+      >
+        {status === "downloading" ? `${label} ${percent}%` : label}
+        {status === "failed" && error ? ` – ${error.message}` : ""}
+      </span>
+    );
+  }
+
+  // Container select for videos, and the audio-only codec (plus the bitrate
+  // for lossy codecs)
+  function renderOutputOptions() {
+    return (
+      <div className="flex flex-wrap items-center justify-center gap-4 text-sm">
+        {!outputMode.format && (
+          <label className="flex items-center gap-2">
+            Container
+            <select
+              value={outputMode.container}
+              onChange={(e) =>
+                setOutputMode((prev) => ({
+                  ...prev,
+                  container: e.target.value,
+                }))
+              }
+              className="px-2 py-1 rounded-md border border-gray-300"
+            >
+              {VIDEO_CONTAINERS.map((container) => (
+                <option key={container} value={container}>
+                  {container.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          Audio only
+          <select
+            value={outputMode.format}
+            onChange={(e) =>
+              setOutputMode((prev) => ({ ...prev, format: e.target.value }))
+            }
+            className="px-2 py-1 rounded-md border border-gray-300"
+          >
+            <option value="">Off (video)</option>
+            {AUDIO_FORMATS.map((format) => (
+              <option key={format} value={format}>
+                {format.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+        {outputMode.format && outputMode.format !== "flac" && (
+          <label className="flex items-center gap-2">
+            Bitrate
+            <select
+              value={outputMode.bitrate}
+              onChange={(e) =>
+                setOutputMode((prev) => ({
+                  ...prev,
+                  bitrate: Number(e.target.value),
+                }))
+              }
+              className="px-2 py-1 rounded-md border border-gray-300"
+            >
+              {AUDIO_BITRATES.map((bitrate) => (
+                <option key={bitrate} value={bitrate}>
+                  {bitrate} kbps
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          Tags, chapters &amp; cover
+          <select
+            value={outputMode.embed}
+            onChange={(e) =>
+              setOutputMode((prev) => ({ ...prev, embed: e.target.value }))
+            }
+            className="px-2 py-1 rounded-md border border-gray-300"
+          >
+            <option value="">Default</option>
+            <option value="on">Embed</option>
+            <option value="off">Don&apos;t embed</option>
+          </select>
+        </label>
+        {!outputMode.format && renderTranscodeOptions()}
+      </div>
+    );
+  }
+
+  // Transcoding preset, or the custom resolution cap, codec, rate control
+  // (CRF, bitrate or a size limit) and audio bitrate. The presets and HEVC
+  // are H.264/HEVC, which WebM can't hold.
+  function renderTranscodeOptions() {
+    const { preset, custom } = transcodeChoice;
+    const webm = outputMode.container === "webm";
+    const setCustom = (field) => (e) =>
+      setTranscodeChoice((prev) => ({
+        ...prev,
+        custom: { ...prev.custom, [field]: e.target.value },
+      }));
+    const selectClass = "px-2 py-1 rounded-md border border-gray-300";
+    return (
+      <>
+        <label className="flex items-center gap-2">
+          Transcode
+          <select
+            value={preset}
+            onChange={(e) =>
+              setTranscodeChoice((prev) => ({
+                ...prev,
+                preset: e.target.value,
+              }))
+            }
+            className={selectClass}
+          >
+            <option value="">Off</option>
+            {!webm &&
+              Object.entries(TRANSCODE_PRESETS).map(([name, label]) => (
+                <option key={name} value={name}>
+                  {label}
+                </option>
+              ))}
+            <option value="custom">Custom</option>
+          </select>
+        </label>
+        {preset === "custom" && (
+          <>
+            <select
+              value={custom.maxHeight}
+              onChange={setCustom("maxHeight")}
+              className={selectClass}
+            >
+              <option value="">Original size</option>
+              {MAX_HEIGHTS.map((height) => (
+                <option key={height} value={height}>
+                  Up to {height}p
+                </option>
+              ))}
+            </select>
+            <select
+              value={webm ? "vp9" : custom.codec}
+              onChange={setCustom("codec")}
+              className={selectClass}
+            >
+              {VIDEO_CODECS.filter((codec) => !webm || codec === "vp9").map(
+                (codec) => (
+                  <option key={codec} value={codec}>
+                    {codec.toUpperCase()}
+                  </option>
+                )
+              )}
+            </select>
+            <select
+              value={custom.rateMode}
+              onChange={setCustom("rateMode")}
+              className={selectClass}
+            >
+              <option value="crf">Quality (CRF)</option>
+              <option value="bitrate">Bitrate</option>
+              <option value="size">Max size</option>
+            </select>
+            {custom.rateMode === "crf" && (
+              <input
+                type="number"
+                min="0"
+                max="63"
+                value={custom.crf}
+                onChange={setCustom("crf")}
+                className="w-16 px-2 py-1 rounded-md border border-gray-300"
+              />
+            )}
+            {custom.rateMode === "bitrate" && (
+              <label className="flex items-center gap-1">
+                <input
+                  type="number"
+                  min="100"
+                  value={custom.videoBitrate}
+                  onChange={setCustom("videoBitrate")}
+                  className="w-20 px-2 py-1 rounded-md border border-gray-300"
+                />
+                kbps
+              </label>
+            )}
+            {custom.rateMode === "size" && (
+              <label className="flex items-center gap-1">
+                <input
+                  type="number"
+                  min="1"
+                  value={custom.maxSizeMb}
+                  onChange={setCustom("maxSizeMb")}
+                  className="w-20 px-2 py-1 rounded-md border border-gray-300"
+                />
+                MB
+              </label>
+            )}
+            <label className="flex items-center gap-1">
+              Audio
+              <select
+                value={custom.audioBitrate}
+                onChange={(e) =>
+                  setTranscodeChoice((prev) => ({
+                    ...prev,
+                    custom: {
+                      ...prev.custom,
+                      audioBitrate: Number(e.target.value),
+                    },
+                  }))
+                }
+                className={selectClass}
+              >
+                {AUDIO_BITRATES.map((bitrate) => (
+                  <option key={bitrate} value={bitrate}>
+                    {bitrate} kbps
+                  </option>
+                ))}
+              </select>
+            </label>
+          </>
+        )}
+      </>
+    );
+  }
+
+  // Optional start/end of the clip to download, with fast or exact cuts
+  function renderClipOptions() {
+    const setField = (field) => (e) =>
+      setClipRange((prev) => ({
+        ...prev,
+        [field]: field === "accurate" ? e.target.checked : e.target.value,
+      }));
+    return (
+      <div className="flex flex-wrap items-center justify-center gap-3 text-sm">
+        <span>Clip</span>
+        <input
+          type="text"
+          value={clipRange.start}
+          onChange={setField("start")}
+          placeholder="Start (0:00)"
+          className="w-28 px-2 py-1 rounded-md border border-gray-300"
+        />
+        <span>–</span>
+        <input
+          type="text"
+          value={clipRange.end}
+          onChange={setField("end")}
+          placeholder={
+            videoInfo?.duration
+              ? `End (${formatTimestamp(videoInfo.duration)})`
+              : "End"
+          }
+          className="w-28 px-2 py-1 rounded-md border border-gray-300"
+        />
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={clipRange.accurate}
+            onChange={setField("accurate")}
+          />
+          Frame-accurate (slower)
+        </label>
+      </div>
+    );
+  }
+
+  // Subtitle language, sidecar/embed and file format. With the video's
+  // `tracks` (from the metadata) the language is picked from its uploaded
+  // subtitles and automatic captions; otherwise (playlists) codes are typed.
+  function renderSubtitleOptions(tracks) {
+    const setField = (field) => (e) =>
+      setSubtitleChoice((prev) => ({
+        ...prev,
+        [field]: field === "auto" ? e.target.checked : e.target.value,
+      }));
+    const selectTrack = (e) => {
+      const [kind, lang = ""] = e.target.value.split(":");
+      setSubtitleChoice((prev) => ({
+        ...prev,
+        langs: lang,
+        auto: kind === "auto",
+      }));
+    };
+    if (tracks && tracks.manual.length === 0 && tracks.auto.length === 0) {
+      return null;
+    }
+    return (
+      <div className="flex flex-wrap items-center justify-center gap-3 text-sm">
+        <span>Subtitles</span>
+        {tracks ? (
+          <select
+            value={
+              subtitleChoice.langs
+                ? `${subtitleChoice.auto ? "auto" : "manual"}:${
+                    subtitleChoice.langs
+                  }`
+                : ""
+            }
+            onChange={selectTrack}
+            className="px-2 py-1 rounded-md border border-gray-300"
+          >
+            <option value="">None</option>
+            {tracks.manual.length > 0 && (
+              <optgroup label="Subtitles">
+                {tracks.manual.map((track) => (
+                  <option key={track.lang} value={`manual:${track.lang}`}>
+                    {track.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            {tracks.auto.length > 0 && (
+              <optgroup label="Automatic captions">
+                {tracks.auto.map((track) => (
+                  <option key={track.lang} value={`auto:${track.lang}`}>
+                    {track.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        ) : (
+          <>
+            <input
+              type="text"
+              value={subtitleChoice.langs}
+              onChange={setField("langs")}
+              placeholder="Languages (en,es)"
+              className="w-36 px-2 py-1 rounded-md border border-gray-300"
+            />
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={subtitleChoice.auto}
+                onChange={setField("auto")}
+              />
+              Automatic captions
+            </label>
+          </>
+        )}
+        {subtitleChoice.langs && (
+          <>
+            <select
+              value={subtitleChoice.mode}
+              onChange={setField("mode")}
+              className="px-2 py-1 rounded-md border border-gray-300"
+            >
+              <option value="sidecar">Separate file</option>
+              <option value="embed">Embed in video</option>
+            </select>
+            {subtitleChoice.mode === "sidecar" && (
+              <select
+                value={subtitleChoice.format}
+                onChange={setField("format")}
+                className="px-2 py-1 rounded-md border border-gray-300"
+              >
+                <option value="srt">SRT</option>
+                <option value="vtt">VTT</option>
+              </select>
+            )}
+          </>
+        )}
+      </div>
+    );
+  }
+
+  // The video's chapters (from the metadata) and the option to download
+  // each as its own file; playlists only get the option
+  function renderChapterOptions(chapters) {
+    if (chapters && chapters.length === 0) return null;
+    return (
+      <div className="text-sm">
+        {chapters && (
+          <ol className="max-h-40 overflow-y-auto mb-2 space-y-1">
+            {chapters.map((chapter) => (
+              <li key={chapter.index} className="flex gap-2">
+                <span className="w-16 text-right text-gray-500">
+                  {formatTimestamp(chapter.start)}
+                </span>
+                <span>{chapter.title}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+        <label className="flex items-center justify-center gap-2">
+          <input
+            type="checkbox"
+            checked={splitChapters}
+            onChange={(e) => setSplitChapters(e.target.checked)}
+          />
+          {chapters
+            ? `Split into ${chapters.length} chapter files`
+            : "Split videos by chapters"}
+        </label>
+      </div>
+    );
+  }
+
+  // Format, width and frame rate of an animation made from the clip range
+  function renderAnimationOptions() {
+    const setField = (field) => (e) =>
+      setAnimationOptions((prev) => ({ ...prev, [field]: e.target.value }));
+    return (
+      <div className="flex flex-wrap items-center justify-center gap-3 text-sm">
+        <span>Animation</span>
+        <select
+          value={animationOptions.format}
+          onChange={setField("format")}
+          className="px-2 py-1 rounded-md border border-gray-300"
+        >
+          <option value="gif">GIF</option>
+          <option value="webp">Animated WebP</option>
+          <option value="mp4">MP4 loop (silent)</option>
+        </select>
+        <label className="flex items-center gap-2">
+          Width
+          <input
+            type="number"
+            min="16"
+            max="1920"
+            value={animationOptions.width}
+            onChange={setField("width")}
+            className="w-20 px-2 py-1 rounded-md border border-gray-300"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          FPS
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={animationOptions.fps}
+            onChange={setField("fps")}
+            className="w-16 px-2 py-1 rounded-md border border-gray-300"
+          />
+        </label>
+        <button
+          onClick={handleAnimation}
+          disabled={isDownloading}
+          className="px-3 py-1 rounded-md border border-primary text-primary font-semibold"
+        >
+          Make animation
+        </button>
+      </div>
+    );
+  }
+
+  // Title above the progress bars
+  function progressLabel() {
+    if (queuePosition > 0) return `Waiting in queue (#${queuePosition})`;
+    if (progressInfo?.phase === "recoding") {
+      // Converting to the chosen audio format or video container
+      const target = outputMode.format || outputMode.container;
+      return `${PHASE_LABELS.recoding} to ${target.toUpperCase()}`;
+    }
+    return PHASE_LABELS[progressInfo?.phase] || "Download Progress";
+  }
+
+  // "12.3 MB of 40.0 MB • 2.1 MB/s • ETA 0:13", from whatever the phase reports
+  function progressDetails() {
+    if (!progressInfo || queuePosition > 0) return null;
+    const { downloadedBytes, totalBytes, speed, speedUnit, eta } = progressInfo;
+    const parts = [];
+    if (downloadedBytes != null) {
+      parts.push(
+        totalBytes != null
+          ? `${formatBytes(downloadedBytes)} of ${formatBytes(totalBytes)}`
+          : formatBytes(downloadedBytes)
+      );
+    }
+    if (speed != null) {
+      // ffmpeg steps report speed as a multiple of real time
+      parts.push(
+        speedUnit === "x" ? `${speed.toFixed(1)}x` : `${formatBytes(speed)}/s`
+      );
+    }
+    if (eta != null) parts.push(`ETA ${formatEta(eta)}`);
+    return parts.length > 0 ? parts.join(" • ") : null;
+  }
+
   // Helper to get selected format extension
   function selectedFormatExt() {
     if (!videoInfo || !videoInfo.formats) return null;
-    const fmt = videoInfo.formats.find((f) => f.format_id === selectedFormat);
+    const fmt = catalogFormats(videoInfo.formats).find(
+      (f) => f.id === selectedFormat
+    );
     return fmt?.ext || null;
   }
 
@@ -192,22 +983,28 @@ function Home() {
     });
   };
 
-  const handleMultiDownload = async () => {
-    if (selectedVideos.size === 0) {
+  // Download the selected videos (or just `videoIds`, e.g. to retry the ones
+  // that failed) as one ZIP. Failed videos are left out of the archive.
+  const handleMultiDownload = async (videoIds = Array.from(selectedVideos)) => {
+    if (videoIds.length === 0) {
       alert("Please select videos to download.");
       return;
     }
 
-    const videosToDownload = Array.from(selectedVideos)
+    const selected = videoIds
       .map((videoId) => {
         const video = videoInfo.videos.find((v) => v.id === videoId);
         if (!video) return null;
         const quality =
-          selectedFormats[videoId] || video.formats?.[0]?.format_id;
+          selectedFormats[videoId] || catalogFormats(video.formats)[0]?.id;
         if (!quality) return null;
-        return { url: video.url, quality, title: video.title };
+        return {
+          id: videoId,
+          item: { url: video.url, quality, title: video.title },
+        };
       })
       .filter(Boolean);
+    const videosToDownload = selected.map(({ item }) => item);
 
     if (videosToDownload.length === 0) {
       alert("No valid videos to download.");
@@ -216,9 +1013,14 @@ function Home() {
 
     setIsDownloading(true);
     setDownloadProgress(0);
+    setProgressInfo(null);
+    downloadErrorRef.current = null;
+    abortControllerRef.current = new AbortController();
 
     let downloadIdToUse = null;
     let filename = "videos";
+    let itemProgressHandler;
+    setItemStatus({});
     try {
       // 1. Get a downloadId for this multi-download
       const initRes = await axios.post(
@@ -234,33 +1036,176 @@ function Home() {
       socketRef.current.emit("join", downloadIdToUse);
       setDownloadId(downloadIdToUse);
 
-      // 3. Listen for progress events for this downloadId (ZIP)
-      // (Already handled in useEffect)
+      // 3. Listen for progress events for this downloadId (ZIP). The overall
+      // percent is handled in useEffect; per-item status maps back to the
+      // videos by their position in the request.
+      itemProgressHandler = ({ isZip, items }) => {
+        if (!isZip || !items) return;
+        const byId = {};
+        items.forEach((item) => {
+          if (selected[item.index]) byId[selected[item.index].id] = item;
+        });
+        setItemStatus(byId);
+      };
+      socketRef.current.on("progress", itemProgressHandler);
 
       // 4. Start the download request
       const res = await axios.post(
         "http://localhost:3000/api/multi-downloads",
-        { videos: videosToDownload, downloadId: downloadIdToUse },
         {
-          responseType: "blob",
+          videos: videosToDownload,
+          downloadId: downloadIdToUse,
+          skipFailed: true,
+          ...outputRequestFields(outputMode),
+          ...(!outputMode.format &&
+            transcodeRequestFields(transcodeChoice, outputMode.container)),
+          ...subtitleRequestFields(subtitleChoice),
+          ...(splitChapters && { splitChapters: true }),
+          ...archiveRequestFields(archiveOptions),
+        },
+        {
+          responseType: archiveOptions.splitForFat32 ? "json" : "blob",
+          signal: abortControllerRef.current.signal,
         }
       );
 
-      const blobUrl = window.URL.createObjectURL(new Blob([res.data]));
-      const link = document.createElement("a");
-      link.href = blobUrl;
-      link.setAttribute("download", `${filename}.zip`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      window.URL.revokeObjectURL(blobUrl);
+      saveArchive(res.data, filename, archiveOptions);
     } catch (err) {
-      alert("Failed to download selected videos as ZIP.");
-      console.error(err);
+      if (!axios.isCancel(err)) {
+        alert(
+          downloadErrorRef.current?.message ||
+            "Failed to download selected videos as ZIP."
+        );
+        console.error(err);
+      }
     }
 
+    // Item badges stay up after the download; stop following updates
+    if (itemProgressHandler) {
+      socketRef.current.off("progress", itemProgressHandler);
+    }
     setIsDownloading(false);
     setDownloadProgress(0);
+    setQueuePosition(0);
+    setProgressInfo(null);
+    setDownloadId(null);
+  };
+
+  // Let the server list the playlist and download the picked items (ranges,
+  // newest N, order) at one quality policy, without the per-video formats
+  const handlePlaylistDownload = async () => {
+    setIsDownloading(true);
+    setDownloadProgress(0);
+    setProgressInfo(null);
+    setItemStatus({});
+    downloadErrorRef.current = null;
+    abortControllerRef.current = new AbortController();
+
+    const downloadIdToUse = crypto.randomUUID();
+    socketRef.current.emit("join", downloadIdToUse);
+    setDownloadId(downloadIdToUse);
+    try {
+      const { items, newest, reverse, quality } = playlistOptions;
+      const res = await axios.post(
+        "http://localhost:3000/api/playlist-downloads",
+        {
+          url,
+          quality,
+          reverse,
+          ...(items.trim() && { items: items.trim() }),
+          ...(newest && { newest: Number(newest) }),
+          downloadId: downloadIdToUse,
+          skipFailed: true,
+          ...outputRequestFields(outputMode),
+          ...(!outputMode.format &&
+            transcodeRequestFields(transcodeChoice, outputMode.container)),
+          ...subtitleRequestFields(subtitleChoice),
+          ...(splitChapters && { splitChapters: true }),
+          ...archiveRequestFields(archiveOptions),
+        },
+        {
+          responseType: archiveOptions.splitForFat32 ? "json" : "blob",
+          signal: abortControllerRef.current.signal,
+        }
+      );
+
+      saveArchive(res.data, videoInfo.title || "playlist", archiveOptions);
+    } catch (err) {
+      if (!axios.isCancel(err)) {
+        // Error bodies arrive as a blob unless the archive is split
+        let message =
+          downloadErrorRef.current?.message || err.response?.data?.error;
+        if (!message && err.response?.data instanceof Blob) {
+          message = await err.response.data
+            .text()
+            .then((text) => JSON.parse(text).error)
+            .catch(() => null);
+        }
+        alert(message || "Failed to download the playlist.");
+        console.error(err);
+      }
+    }
+
+    setIsDownloading(false);
+    setDownloadProgress(0);
+    setQueuePosition(0);
+    setProgressInfo(null);
+    setDownloadId(null);
+  };
+
+  // Make a GIF, animated WebP or silent MP4 loop from the clip range
+  const handleAnimation = async () => {
+    if (!clipRange.start.trim() || !clipRange.end.trim()) {
+      alert("Set the clip start and end for the animation.");
+      return;
+    }
+    setIsDownloading(true);
+    setDownloadProgress(0);
+    setProgressInfo(null);
+    downloadErrorRef.current = null;
+    abortControllerRef.current = new AbortController();
+
+    const downloadIdToUse = crypto.randomUUID();
+    socketRef.current.emit("join", downloadIdToUse);
+    setDownloadId(downloadIdToUse);
+    try {
+      const { format, width, fps } = animationOptions;
+      const res = await axios.post(
+        "http://localhost:3000/api/animations",
+        {
+          url,
+          start: clipRange.start.trim(),
+          end: clipRange.end.trim(),
+          animationFormat: format,
+          width: Number(width),
+          fps: Number(fps),
+          downloadId: downloadIdToUse,
+        },
+        { responseType: "blob", signal: abortControllerRef.current.signal }
+      );
+      triggerDownload(
+        new Blob([res.data]),
+        `${videoInfo.title || "animation"}${ANIMATION_FORMATS[format]}`
+      );
+    } catch (err) {
+      if (!axios.isCancel(err)) {
+        let message =
+          downloadErrorRef.current?.message || err.response?.data?.error;
+        if (!message && err.response?.data instanceof Blob) {
+          message = await err.response.data
+            .text()
+            .then((text) => JSON.parse(text).error)
+            .catch(() => null);
+        }
+        alert(message || "Failed to create the animation.");
+        console.error(err);
+      }
+    }
+
+    setIsDownloading(false);
+    setDownloadProgress(0);
+    setQueuePosition(0);
+    setProgressInfo(null);
     setDownloadId(null);
   };
 
@@ -273,6 +1218,22 @@ function Home() {
     return formats.filter((f) => f.ext && f.ext.toLowerCase() === formatFilter);
   };
 
+  // <option>s for a format catalog, grouped and filtered by the format tabs
+  const renderFormatOptions = (catalog) =>
+    FORMAT_GROUPS.map(([group, label]) => {
+      const formats = filterFormats(catalog?.[group] || []);
+      if (formats.length === 0) return null;
+      return (
+        <optgroup key={group} label={label}>
+          {formats.map((format) => (
+            <option key={format.id} value={format.id}>
+              {formatLabel(format)}
+            </option>
+          ))}
+        </optgroup>
+      );
+    });
+
   useEffect(() => {
     // Load the AdSense script only once
     const script = document.createElement("script");
@@ -356,7 +1317,7 @@ function Home() {
             {/* Format filter tabs for playlist videos */}
             {isPlaylist && videoInfo?.videos?.length > 0 && (
               <div className="flex gap-2 mt-2 mb-2 justify-center">
-                {["all", "mp4", "mkv", "webm", "mp3", "m4a"].map((type) => (
+                {["all", "mp4", "mkv", "webm", "m4a"].map((type) => (
                   <button
                     key={type}
                     onClick={() => setFormatFilter(type)}
@@ -408,25 +1369,26 @@ function Home() {
 
                   <div className="flex-1 space-y-2">
                     <h3 className="text-lg font-semibold">{video.title}</h3>
+                    {selectedVideos.has(video.id) &&
+                      itemStatus[video.id] &&
+                      renderItemBadge(itemStatus[video.id])}
 
                     {/* Format filter tabs for single video */}
                     {videoInfo && !isPlaylist && videoInfo.formats && (
                       <div className="flex gap-2 mt-4 mb-2">
-                        {["all", "mp4", "mkv", "webm", "mp3", "m4a"].map(
-                          (type) => (
-                            <button
-                              key={type}
-                              onClick={() => setFormatFilter(type)}
-                              className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors duration-150 ${
-                                formatFilter === type
-                                  ? "bg-primary text-white border-primary shadow"
-                                  : "bg-white text-primary border-gray-200 hover:bg-blue-50"
-                              }`}
-                            >
-                              {type.toUpperCase()}
-                            </button>
-                          )
-                        )}
+                        {["all", "mp4", "mkv", "webm", "m4a"].map((type) => (
+                          <button
+                            key={type}
+                            onClick={() => setFormatFilter(type)}
+                            className={`px-3 py-1 rounded-full border text-xs font-semibold transition-colors duration-150 ${
+                              formatFilter === type
+                                ? "bg-primary text-white border-primary shadow"
+                                : "bg-white text-primary border-gray-200 hover:bg-blue-50"
+                            }`}
+                          >
+                            {type.toUpperCase()}
+                          </button>
+                        ))}
                       </div>
                     )}
 
@@ -438,22 +1400,16 @@ function Home() {
                     ) : (
                       <select
                         className="mt-3 w-full border border-[#eae9e9] px-4 py-2 rounded-md text-text-color focus:ring-2 focus:ring-primary focus:border-primary transition"
-                        value={selectedFormat || ""}
-                        onChange={(e) => setSelectedFormat(e.target.value)}
+                        value={selectedFormats[video.id] || ""}
+                        onChange={(e) =>
+                          setSelectedFormats((prev) => ({
+                            ...prev,
+                            [video.id]: e.target.value,
+                          }))
+                        }
                         disabled={isFacebookUrl(url)}
                       >
-                        {filterFormats(videoInfo.formats)?.map((format) => (
-                          <option
-                            key={format.format_id}
-                            value={format.format_id}
-                          >
-                            {format.format_note || "Unknown"} • {format.ext} •{" "}
-                            {format.filesize
-                              ? (format.filesize / (1024 * 1024)).toFixed(1) +
-                                " MB"
-                              : "N/A"}
-                          </option>
-                        ))}
+                        {renderFormatOptions(video.formats)}
                       </select>
                     )}
 
@@ -463,7 +1419,7 @@ function Home() {
                         onClick={async () => {
                           const formatId =
                             selectedFormats[video.id] ||
-                            video.formats?.[0]?.format_id;
+                            catalogFormats(video.formats)[0]?.id;
 
                           if (!formatId) {
                             alert("Please select a format first.");
@@ -532,7 +1488,10 @@ function Home() {
                             );
                             const link = document.createElement("a");
                             link.href = blobUrl;
-                            link.setAttribute("download", `${video.title}.mp4`);
+                            link.setAttribute(
+                              "download",
+                              `${video.title}${responseExtension(res)}`
+                            );
                             document.body.appendChild(link);
                             link.click();
                             link.remove();
@@ -604,9 +1563,44 @@ function Home() {
                 </li>
               ))}
             </ul>
+            <div className="flex flex-wrap items-center justify-center gap-4 text-sm">
+              <label className="flex items-center gap-2">
+                Archive
+                <select
+                  value={archiveOptions.archiveFormat}
+                  onChange={(e) =>
+                    setArchiveOptions((prev) => ({
+                      ...prev,
+                      archiveFormat: e.target.value,
+                    }))
+                  }
+                  className="px-2 py-1 rounded-md border border-gray-300"
+                >
+                  <option value="zip">ZIP</option>
+                  <option value="tar">TAR</option>
+                  <option value="tar.gz">TAR.GZ</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={archiveOptions.splitForFat32}
+                  onChange={(e) =>
+                    setArchiveOptions((prev) => ({
+                      ...prev,
+                      splitForFat32: e.target.checked,
+                    }))
+                  }
+                />
+                Split into 4 GB parts (FAT32 drives)
+              </label>
+            </div>
+            {renderOutputOptions()}
+            <div className="mt-3">{renderSubtitleOptions()}</div>
+            <div className="mt-3">{renderChapterOptions()}</div>
             <button
               disabled={selectedVideos.size === 0}
-              onClick={handleMultiDownload}
+              onClick={() => handleMultiDownload()}
               className={`mt-4 w-full py-3 rounded-lg font-semibold flex items-center justify-center gap-2 shadow ${
                 selectedVideos.size === 0
                   ? "bg-[#eae9e9] cursor-not-allowed"
@@ -616,11 +1610,89 @@ function Home() {
               <FontAwesomeIcon icon={faDownload} className="w-5 h-5" />
               Download Selected Videos as ZIP
             </button>
+            <div className="mt-4 p-4 rounded-xl border border-gray-200 space-y-3">
+              <p className="text-sm font-semibold">
+                Or download the whole playlist
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+                <input
+                  type="text"
+                  value={playlistOptions.items}
+                  onChange={(e) =>
+                    setPlaylistOptions((prev) => ({
+                      ...prev,
+                      items: e.target.value,
+                    }))
+                  }
+                  placeholder="Items, e.g. 1-50,60"
+                  className="px-3 py-2 rounded-md border border-gray-300"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={playlistOptions.newest}
+                  onChange={(e) =>
+                    setPlaylistOptions((prev) => ({
+                      ...prev,
+                      newest: e.target.value,
+                    }))
+                  }
+                  placeholder="Newest N"
+                  className="px-3 py-2 rounded-md border border-gray-300"
+                />
+                <select
+                  value={playlistOptions.quality}
+                  onChange={(e) =>
+                    setPlaylistOptions((prev) => ({
+                      ...prev,
+                      quality: e.target.value,
+                    }))
+                  }
+                  className="px-3 py-2 rounded-md border border-gray-300"
+                >
+                  <option value="best">Best quality</option>
+                  <option value="1080p">Up to 1080p</option>
+                  <option value="720p">Up to 720p</option>
+                  <option value="480p">Up to 480p</option>
+                  <option value="360p">Up to 360p</option>
+                  <option value="audio">Audio only</option>
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={playlistOptions.reverse}
+                  onChange={(e) =>
+                    setPlaylistOptions((prev) => ({
+                      ...prev,
+                      reverse: e.target.checked,
+                    }))
+                  }
+                />
+                Reverse order
+              </label>
+              <button
+                disabled={isDownloading}
+                onClick={handlePlaylistDownload}
+                className="w-full py-2 rounded-lg font-semibold border border-primary text-primary hover:bg-blue-50 transition disabled:opacity-50"
+              >
+                Download Whole Playlist as ZIP
+              </button>
+            </div>
+            {!isDownloading && failedVideoIds().length > 0 && (
+              <button
+                onClick={() => handleMultiDownload(failedVideoIds())}
+                className="mt-2 w-full py-2 rounded-lg font-semibold border border-red-300 text-red-700 hover:bg-red-50 transition"
+              >
+                Retry {failedVideoIds().length} failed video
+                {failedVideoIds().length === 1 ? "" : "s"}
+              </button>
+            )}
             {isDownloading && (
               <div className="space-y-2 mt-4">
                 <div className="w-full flex flex-col items-center">
                   <span className="mb-1 text-xs font-semibold text-primary tracking-wide uppercase">
-                    Download Progress
+                    {progressLabel()}
                   </span>
                   <div className="relative w-full h-6 bg-gray-200 rounded-full overflow-hidden shadow-md border border-gray-300">
                     <div
@@ -657,6 +1729,17 @@ function Home() {
                       </span>
                     </div>
                   </div>
+                  {progressDetails() && (
+                    <span className="mt-1 text-xs text-gray-500">
+                      {progressDetails()}
+                    </span>
+                  )}
+                  <button
+                    onClick={handleCancelDownload}
+                    className="mt-2 px-4 py-1 rounded-md border border-gray-300 text-sm text-gray-600 hover:bg-gray-100 transition"
+                  >
+                    Cancel
+                  </button>
                 </div>
               </div>
             )}
@@ -693,7 +1776,7 @@ function Home() {
                 {/* Format filter tabs for single video */}
                 {videoInfo && !isPlaylist && videoInfo.formats && (
                   <div className="flex gap-2 mt-4 mb-2">
-                    {["all", "mp4", "mkv", "webm", "mp3", "m4a"].map((type) => (
+                    {["all", "mp4", "mkv", "webm", "m4a"].map((type) => (
                       <button
                         key={type}
                         onClick={() => setFormatFilter(type)}
@@ -720,17 +1803,22 @@ function Home() {
                     onChange={(e) => setSelectedFormat(e.target.value)}
                     disabled={isFacebookUrl(url)}
                   >
-                    {filterFormats(videoInfo.formats)?.map((format) => (
-                      <option key={format.format_id} value={format.format_id}>
-                        {format.resolution || format.format_note || "Unknown"} •{" "}
-                        {format.ext} •{" "}
-                        {format.filesize
-                          ? (format.filesize / (1024 * 1024)).toFixed(1) + " MB"
-                          : "N/A"}
-                      </option>
-                    ))}
+                    {renderFormatOptions(videoInfo.formats)}
                   </select>
                 )}
+                <div className="mt-3">{renderOutputOptions()}</div>
+                <div className="mt-3">
+                  {renderChapterOptions(videoInfo.chapterList)}
+                </div>
+                {!splitChapters && (
+                  <>
+                    <div className="mt-3">{renderClipOptions()}</div>
+                    <div className="mt-3">{renderAnimationOptions()}</div>
+                  </>
+                )}
+                <div className="mt-3">
+                  {renderSubtitleOptions(videoInfo.subtitleTracks)}
+                </div>
                 <button
                   onClick={handleDownload}
                   className="mt-4 w-full bg-primary cursor-pointer text-text-btn py-3 rounded-lg font-semibold"
@@ -741,7 +1829,7 @@ function Home() {
                   <div className="space-y-2 mt-4">
                     <div className="w-full flex flex-col items-center">
                       <span className="mb-1 text-xs font-semibold text-primary tracking-wide uppercase">
-                        Download Progress
+                        {progressLabel()}
                       </span>
                       <div className="relative w-full h-6 bg-gray-200 rounded-full overflow-hidden shadow-md border border-gray-300">
                         <div
@@ -778,6 +1866,17 @@ function Home() {
                           </span>
                         </div>
                       </div>
+                      {progressDetails() && (
+                        <span className="mt-1 text-xs text-gray-500">
+                          {progressDetails()}
+                        </span>
+                      )}
+                      <button
+                        onClick={handleCancelDownload}
+                        className="mt-2 px-4 py-1 rounded-md border border-gray-300 text-sm text-gray-600 hover:bg-gray-100 transition"
+                      >
+                        Cancel
+                      </button>
                     </div>
                   </div>
                 )}